@@ -0,0 +1,61 @@
+// ---------------------------------------------------------------------------
+// Service worker — caches the app shell so the app opens without a network.
+//   Page loads:        network first, cached index.html when offline
+//   Same-origin files: cache first (Vite's built assets are content-hashed)
+//   Everything else:   untouched — API calls (the same-origin /api/ proxy
+//                      included) go to the network and are never cached
+//                      here; last-known prices live in localStorage instead.
+// Bump CACHE_NAME to drop old caches on the next activation.
+// ---------------------------------------------------------------------------
+
+// v2 drops /api/ responses that v1 cached by mistake
+const CACHE_NAME = 'stock-watchlist-shell-v2';
+const SHELL_URLS = ['/', '/index.html'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL_URLS)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put('/index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return response;
+        })
+    )
+  );
+});
@@ -0,0 +1,79 @@
+// ---------------------------------------------------------------------------
+// Standalone server: the Alpha Vantage proxy on /api/* plus the built app
+// from dist/ (run `npm run build` first). `npm run proxy` starts it.
+// Settings come from the environment or a .env file:
+//   ALPHA_VANTAGE_API_KEY, ALPHA_VANTAGE_CALLS_PER_MINUTE,
+//   ALPHA_VANTAGE_CALLS_PER_DAY, PORT (default 8787)
+// ---------------------------------------------------------------------------
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createProxy, proxyOptionsFromEnv } from './proxy.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = path.join(ROOT, 'dist');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json',
+};
+
+// process.loadEnvFile arrived in Node 20.12; older versions read the
+// environment only
+if (typeof process.loadEnvFile === 'function') {
+  try {
+    process.loadEnvFile(path.join(ROOT, '.env'));
+  } catch {
+    // No .env file — the environment alone is fine
+  }
+}
+
+const proxy = createProxy(proxyOptionsFromEnv(process.env));
+
+// True for dist/ itself and anything inside it — not for a sibling such
+// as dist-old/ that merely shares the prefix
+function insideDist(file) {
+  const relative = path.relative(DIST, file);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Files from dist/; any other path gets index.html so client routes work.
+// A malformed escape ("/%E0") is a bad request, not a crash.
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad request path.');
+    return;
+  }
+  let file = path.join(DIST, pathname);
+  if (!insideDist(file) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    file = path.join(DIST, 'index.html');
+  }
+  if (!fs.existsSync(file)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('No build found. Run `npm run build` first.');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+const port = Number(process.env.PORT) || 8787;
+
+http
+  .createServer((req, res) => proxy.middleware(req, res, () => serveStatic(req, res)))
+  .listen(port, () => {
+    console.log('Stock watchlist on http://localhost:' + port);
+    if (!process.env.ALPHA_VANTAGE_API_KEY) {
+      console.warn('ALPHA_VANTAGE_API_KEY is not set — /api/* will answer 403.');
+    }
+  });
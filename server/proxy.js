@@ -0,0 +1,254 @@
+// ---------------------------------------------------------------------------
+// Alpha Vantage proxy. The browser calls /api/<endpoint>?...; this adds the
+// API key, which only ever lives on the server, and forwards the call.
+// Answers are cached per query, identical concurrent queries share one
+// upstream call, and upstream calls are kept inside the key's per-minute
+// and per-day allowance. Alpha Vantage's JSON is passed through unchanged,
+// so the browser-side provider parses it exactly as before.
+//
+// createProxy() returns handle() for tests and middleware(req, res, next)
+// for the Vite dev server and the standalone server (server/index.js).
+// ---------------------------------------------------------------------------
+
+const AV_URL = 'https://www.alphavantage.co/query';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Requests one client (IP address) may make per minute, cache hits included
+const CLIENT_LIMIT_PER_MINUTE = 60;
+
+// Headlines per news request: the client's ?limit=, clamped
+const NEWS_LIMIT = { min: 1, max: 50, fallback: 10 };
+
+function newsLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit)) return String(NEWS_LIMIT.fallback);
+  return String(Math.min(Math.max(limit, NEWS_LIMIT.min), NEWS_LIMIT.max));
+}
+
+// Intraday bars move on; weekly ones barely do
+const HISTORY_TTL_MS = {
+  intraday: 5 * MINUTE_MS,
+  daily: HOUR_MS,
+  weekly: DAY_MS,
+};
+
+const HISTORY_FUNCTIONS = {
+  intraday: { function: 'TIME_SERIES_INTRADAY', interval: '5min' },
+  daily: { function: 'TIME_SERIES_DAILY' },
+  weekly: { function: 'TIME_SERIES_WEEKLY' },
+};
+
+// path -> { ttl, query(params), contentType } where query turns the
+// browser's parameters into Alpha Vantage's, or returns null when a required
+// one is missing. ttl may be a function of the parameters; contentType
+// defaults to JSON.
+const ENDPOINTS = {
+  '/api/search': {
+    ttl: DAY_MS,
+    query: (p) => p.get('keywords') && { function: 'SYMBOL_SEARCH', keywords: p.get('keywords') },
+  },
+  '/api/quote': {
+    ttl: MINUTE_MS,
+    query: (p) => p.get('symbol') && { function: 'GLOBAL_QUOTE', symbol: p.get('symbol') },
+  },
+  '/api/history': {
+    ttl: (p) => HISTORY_TTL_MS[p.get('interval')],
+    query: (p) =>
+      p.get('symbol') &&
+      HISTORY_FUNCTIONS[p.get('interval')] && { ...HISTORY_FUNCTIONS[p.get('interval')], symbol: p.get('symbol') },
+  },
+  '/api/overview': {
+    ttl: DAY_MS,
+    query: (p) => p.get('symbol') && { function: 'OVERVIEW', symbol: p.get('symbol') },
+  },
+  '/api/news': {
+    ttl: 30 * MINUTE_MS,
+    query: (p) =>
+      p.get('symbol') && {
+        function: 'NEWS_SENTIMENT',
+        tickers: p.get('symbol'),
+        sort: 'LATEST',
+        limit: newsLimit(p.get('limit')),
+      },
+  },
+  '/api/listing': {
+    ttl: DAY_MS,
+    query: () => ({ function: 'LISTING_STATUS' }),
+    contentType: 'text/csv',
+  },
+  '/api/fx': {
+    ttl: HOUR_MS,
+    query: (p) =>
+      p.get('from') &&
+      p.get('to') && { function: 'CURRENCY_EXCHANGE_RATE', from_currency: p.get('from'), to_currency: p.get('to') },
+  },
+};
+
+function jsonResponse(status, body, headers = {}) {
+  return { status, headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) };
+}
+
+function tooManyRequests(message, retryAfterMs) {
+  return jsonResponse(429, { error: message }, { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) });
+}
+
+// Notices (rate limits, bad key) and errors must not be served from cache.
+// They come as JSON even from the CSV endpoint.
+function isCacheable(text) {
+  if (!text.trimStart().startsWith('{')) return text.trim() !== '';
+  try {
+    const json = JSON.parse(text);
+    return !json['Information'] && !json['Note'] && !json['Error Message'];
+  } catch {
+    return false;
+  }
+}
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// Proxy options from process.env (or Vite's loadEnv). The key is
+// ALPHA_VANTAGE_API_KEY — without the VITE_ prefix, so Vite never bundles it.
+export function proxyOptionsFromEnv(env) {
+  return {
+    apiKey: env.ALPHA_VANTAGE_API_KEY || '',
+    perMinute: Number(env.ALPHA_VANTAGE_CALLS_PER_MINUTE) || undefined,
+    perDay: Number(env.ALPHA_VANTAGE_CALLS_PER_DAY) || undefined,
+  };
+}
+
+export function createProxy({
+  apiKey,
+  perMinute = 5,
+  perDay = 25,
+  fetch = globalThis.fetch,
+  now = Date.now,
+} = {}) {
+  const cache = new Map(); // key -> { body, time }
+  const inFlight = new Map(); // key -> Promise<{ status, body }>
+  let upstreamLog = []; // timestamps of upstream calls in the last minute
+  let dayUsage = { date: utcDay(now()), count: 0 };
+  const clients = new Map(); // client id -> timestamps in the last minute
+  let lastSweep = now();
+
+  // Milliseconds until the key may be used again, or 0 if it can be now
+  function upstreamWait(time) {
+    upstreamLog = upstreamLog.filter((t) => time - t < MINUTE_MS);
+    if (dayUsage.date !== utcDay(time)) dayUsage = { date: utcDay(time), count: 0 };
+
+    if (dayUsage.count >= perDay) {
+      const midnight = new Date(time);
+      midnight.setUTCHours(24, 0, 0, 0);
+      return midnight.getTime() - time;
+    }
+    if (upstreamLog.length >= perMinute) return upstreamLog[0] + MINUTE_MS - time;
+    return 0;
+  }
+
+  // Forget clients idle for a minute, at most once a minute, so a
+  // long-running server doesn't keep every address it has ever seen
+  function sweepClients(time) {
+    if (time - lastSweep < MINUTE_MS) return;
+    lastSweep = time;
+    clients.forEach((log, clientId) => {
+      if (time - log[log.length - 1] >= MINUTE_MS) clients.delete(clientId);
+    });
+  }
+
+  function clientAllowed(clientId, time) {
+    sweepClients(time);
+    const log = (clients.get(clientId) || []).filter((t) => time - t < MINUTE_MS);
+    if (log.length >= CLIENT_LIMIT_PER_MINUTE) {
+      clients.set(clientId, log);
+      return false;
+    }
+    log.push(time);
+    clients.set(clientId, log);
+    return true;
+  }
+
+  async function callUpstream(params) {
+    const url = AV_URL + '?' + new URLSearchParams({ ...params, apikey: apiKey }).toString();
+    const res = await fetch(url);
+    return { status: res.status, body: await res.text() };
+  }
+
+  // Answer one request: { status, headers, body }
+  async function handle(pathname, searchParams, clientId = 'local') {
+    const endpoint = ENDPOINTS[pathname];
+    if (!endpoint) return jsonResponse(404, { error: 'Unknown endpoint.' });
+
+    const params = endpoint.query(searchParams);
+    if (!params) return jsonResponse(400, { error: 'Missing or invalid parameters.' });
+
+    if (!apiKey) {
+      return jsonResponse(403, { error: 'The server has no ALPHA_VANTAGE_API_KEY configured.' });
+    }
+
+    const time = now();
+    if (!clientAllowed(clientId, time)) {
+      return tooManyRequests('Too many requests from this client.', MINUTE_MS);
+    }
+
+    const key = JSON.stringify(Object.entries(params).sort());
+    const ttl = typeof endpoint.ttl === 'function' ? endpoint.ttl(searchParams) : endpoint.ttl;
+    const hit = cache.get(key);
+    const contentType = endpoint.contentType || 'application/json';
+    if (hit && time - hit.time < ttl) {
+      return { status: 200, headers: { 'Content-Type': contentType, 'X-Cache': 'HIT' }, body: hit.body };
+    }
+
+    let pending = inFlight.get(key);
+    if (!pending) {
+      const wait = upstreamWait(time);
+      if (wait > 0) return tooManyRequests('API call budget spent. Try again later.', wait);
+
+      upstreamLog.push(time);
+      dayUsage.count += 1;
+      pending = callUpstream(params).finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+
+    let upstream;
+    try {
+      upstream = await pending;
+    } catch {
+      return jsonResponse(502, { error: 'Could not reach Alpha Vantage.' });
+    }
+    if (upstream.status !== 200) {
+      return jsonResponse(502, { error: 'Alpha Vantage answered with HTTP ' + upstream.status + '.' });
+    }
+
+    if (isCacheable(upstream.body)) cache.set(key, { body: upstream.body, time: now() });
+    return { status: 200, headers: { 'Content-Type': contentType, 'X-Cache': 'MISS' }, body: upstream.body };
+  }
+
+  // Connect-style middleware: answers /api/*, passes everything else on
+  async function middleware(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!url.pathname.startsWith('/api/')) {
+      if (next) next();
+      return;
+    }
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' });
+      res.end();
+      return;
+    }
+
+    const response = await handle(url.pathname, url.searchParams, req.socket.remoteAddress);
+    res.writeHead(response.status, { ...response.headers, 'Cache-Control': 'no-store' });
+    res.end(response.body);
+  }
+
+  // Clients currently rate-tracked — for tests and monitoring
+  function trackedClients() {
+    return clients.size;
+  }
+
+  return { handle, middleware, trackedClients };
+}
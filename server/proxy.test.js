@@ -0,0 +1,116 @@
+// @vitest-environment node
+import { vi, describe, it, expect } from 'vitest';
+import { createProxy } from './proxy';
+
+const QUOTE_BODY = JSON.stringify({ 'Global Quote': { '01. symbol': 'IBM', '05. price': '150.00' } });
+
+function fakeFetch(body = QUOTE_BODY, status = 200) {
+  return vi.fn().mockResolvedValue({ status, text: () => Promise.resolve(body) });
+}
+
+const params = (query) => new URLSearchParams(query);
+
+describe('Alpha Vantage proxy', () => {
+  it('should add the key upstream but never return it, and cache the answer', async () => {
+    const fetch = fakeFetch();
+    const proxy = createProxy({ apiKey: 'secret-key', fetch });
+
+    const first = await proxy.handle('/api/quote', params('symbol=IBM'));
+    const second = await proxy.handle('/api/quote', params('symbol=IBM'));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.searchParams.get('function')).toBe('GLOBAL_QUOTE');
+    expect(url.searchParams.get('apikey')).toBe('secret-key');
+
+    expect(first).toMatchObject({ status: 200, body: QUOTE_BODY, headers: { 'X-Cache': 'MISS' } });
+    expect(second.headers['X-Cache']).toBe('HIT');
+    expect(JSON.stringify(first)).not.toContain('secret-key');
+  });
+
+  it('should answer 429 with Retry-After once the per-minute budget is spent', async () => {
+    let time = Date.UTC(2025, 0, 31, 12, 0, 0);
+    const fetch = fakeFetch();
+    const proxy = createProxy({ apiKey: 'key', fetch, perMinute: 2, now: () => time });
+
+    await proxy.handle('/api/quote', params('symbol=IBM'));
+    await proxy.handle('/api/quote', params('symbol=AAPL'));
+    const limited = await proxy.handle('/api/quote', params('symbol=MSFT'));
+
+    expect(limited.status).toBe(429);
+    expect(limited.headers['Retry-After']).toBe('60');
+    // Cached symbols are still served
+    expect((await proxy.handle('/api/quote', params('symbol=IBM'))).status).toBe(200);
+
+    time += 60 * 1000;
+    expect((await proxy.handle('/api/quote', params('symbol=MSFT'))).status).toBe(200);
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should forget clients that have gone quiet', async () => {
+    let time = Date.UTC(2025, 0, 31, 12, 0, 0);
+    const proxy = createProxy({ apiKey: 'key', fetch: fakeFetch(), now: () => time });
+
+    await proxy.handle('/api/quote', params('symbol=IBM'), '10.0.0.1');
+    await proxy.handle('/api/quote', params('symbol=IBM'), '10.0.0.2');
+    expect(proxy.trackedClients()).toBe(2);
+
+    time += 2 * 60 * 1000;
+    await proxy.handle('/api/quote', params('symbol=IBM'), '10.0.0.3');
+    expect(proxy.trackedClients()).toBe(1);
+  });
+
+  it('should share one upstream call between concurrent requests and not cache notices', async () => {
+    const notice = JSON.stringify({ Information: 'Thank you for using Alpha Vantage! ... call frequency ...' });
+    const fetch = fakeFetch(notice);
+    const proxy = createProxy({ apiKey: 'key', fetch });
+
+    const [a, b] = await Promise.all([
+      proxy.handle('/api/search', params('keywords=tesla')),
+      proxy.handle('/api/search', params('keywords=tesla')),
+    ]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(a.body).toBe(notice);
+    expect(b.body).toBe(notice);
+
+    await proxy.handle('/api/search', params('keywords=tesla'));
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should cache the listing CSV and serve it as CSV', async () => {
+    const csv = 'symbol,name,exchange,assetType,ipoDate,delistingDate,status\nIBM,IBM,NYSE,Stock,1915-11-11,null,Active';
+    const fetch = fakeFetch(csv);
+    const proxy = createProxy({ apiKey: 'key', fetch });
+
+    await proxy.handle('/api/listing', params(''));
+    const second = await proxy.handle('/api/listing', params(''));
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(second).toMatchObject({ body: csv, headers: { 'Content-Type': 'text/csv', 'X-Cache': 'HIT' } });
+  });
+
+  it('should clamp the news limit before it goes upstream', async () => {
+    const fetch = fakeFetch(JSON.stringify({ feed: [] }));
+    const proxy = createProxy({ apiKey: 'key', fetch });
+    const sentLimit = async (query) => {
+      await proxy.handle('/api/news', params(query));
+      return new URL(fetch.mock.calls[fetch.mock.calls.length - 1][0]).searchParams.get('limit');
+    };
+
+    expect(await sentLimit('symbol=A&limit=500')).toBe('50');
+    expect(await sentLimit('symbol=B&limit=0')).toBe('1');
+    expect(await sentLimit('symbol=C&limit=lots')).toBe('10');
+    expect(await sentLimit('symbol=D')).toBe('10');
+  });
+
+  it('should reject bad requests and report a missing key or a failed upstream', async () => {
+    const proxy = createProxy({ apiKey: 'key', fetch: vi.fn().mockRejectedValue(new Error('offline')) });
+    expect((await proxy.handle('/api/quote', params(''))).status).toBe(400);
+    expect((await proxy.handle('/api/history', params('symbol=IBM&interval=monthly'))).status).toBe(400);
+    expect((await proxy.handle('/api/nope', params(''))).status).toBe(404);
+    expect((await proxy.handle('/api/quote', params('symbol=IBM'))).status).toBe(502);
+
+    const noKey = createProxy({ apiKey: '', fetch: fakeFetch() });
+    expect((await noKey.handle('/api/quote', params('symbol=IBM'))).status).toBe(403);
+  });
+});
@@ -0,0 +1,16 @@
+import { createProxy } from './proxy.js';
+
+// Mounts the Alpha Vantage proxy on /api/* in `vite` and `vite preview`, so
+// the dev server behaves like the standalone one.
+export default function apiProxyPlugin(options) {
+  const proxy = createProxy(options);
+  return {
+    name: 'stock-watchlist-api-proxy',
+    configureServer(server) {
+      server.middlewares.use(proxy.middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(proxy.middleware);
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { ALERT_TYPES, createAlertId, describeAlert } from './alerts';
+
+function AlertEditor({ symbol, rules, currency = 'USD', locale = 'auto', onAddAlert, onRemoveAlert, onRearmAlert }) {
+  const [type, setType] = useState('above');
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const threshold = parseFloat(value);
+    if (!(threshold > 0)) {
+      setError('Enter a positive threshold.');
+      return;
+    }
+    onAddAlert({ id: createAlertId(), type, value: threshold, armed: true, triggeredAt: null });
+    setValue('');
+    setError(null);
+  };
+
+  return (
+    <div className="alert-editor">
+      {rules.length > 0 && (
+        <ul className="alert-rules">
+          {rules.map((rule) => (
+            <li key={rule.id}>
+              <span>
+                {describeAlert(rule, currency, locale)}{' '}
+                <span className={'alert-badge ' + (rule.armed ? 'armed' : 'triggered')}>
+                  {rule.armed ? 'Armed' : 'Triggered'}
+                </span>
+              </span>
+              <span>
+                {!rule.armed && (
+                  <button className="rearm-btn" onClick={() => onRearmAlert(rule.id)}>
+                    Re-arm
+                  </button>
+                )}
+                <button
+                  className="remove-btn"
+                  aria-label={'Remove alert: ' + describeAlert(rule, currency, locale)}
+                  onClick={() => onRemoveAlert(rule.id)}
+                >
+                  &times;
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="alert-form" onSubmit={handleSubmit}>
+        <select aria-label={symbol + ' alert type'} value={type} onChange={(e) => setType(e.target.value)}>
+          {ALERT_TYPES.map((t) => (
+            <option key={t.type} value={t.type}>{t.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder={type === 'changePct' ? '%' : 'Price (' + currency + ')'}
+          aria-label={symbol + ' alert threshold'}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+        />
+        <button type="submit">Add alert</button>
+      </form>
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
+
+export default AlertEditor;
@@ -1,67 +1,385 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import SearchBar from './SearchBar';
 import StockCard from './StockCard';
-import { fetchQuote } from './api';
+import WatchlistManager from './WatchlistManager';
+import PortfolioSummary from './PortfolioSummary';
+import PerformanceDashboard from './PerformanceDashboard';
+import ComparisonView from './ComparisonView';
+import ImportExport from './ImportExport';
+import WatchlistGrid from './WatchlistGrid';
+import CompanyDetail from './CompanyDetail';
+import SharedListPrompt from './SharedListPrompt';
+import SettingsPanel from './SettingsPanel';
+import {
+  fetchQuote,
+  fetchOverview,
+  fetchExchangeRate,
+  getQuota,
+  subscribeQuota,
+  subscribeSharedQuotes,
+} from './api';
+import { NotFoundError } from './apiErrors';
+import { SORT_OPTIONS, GROUP_OPTIONS, sortSymbols, groupSymbols, moveSymbol } from './watchlistView';
+import { isMarketOpen } from './marketHours';
+import { parseRoute, symbolPath, listPath, comparePath, navigate, WATCHLIST_PATH } from './routes';
+import { DEFAULT_COMPARE_RANGE, MAX_COMPARE_SYMBOLS } from './comparison';
+import { parseShared } from './watchlistTransfer';
+import { formatMoney, formatPercent } from './format';
+import { ratePair } from './currency';
+import { applyTheme, subscribeSystemTheme } from './theme';
+import {
+  describeAlert,
+  findFiredAlerts,
+  requestNotificationPermission,
+  showNotification,
+} from './alerts';
+import {
+  createListId,
+  loadWatchlistIndex,
+  saveWatchlistIndex,
+  loadActiveListId,
+  saveActiveListId,
+  symbolsKey,
+  loadSymbols,
+  saveSymbols,
+  removeSymbols,
+  loadMaxStocks,
+  saveMaxStocks,
+  loadRefreshInterval,
+  saveRefreshInterval,
+  loadHoldings,
+  saveHoldings,
+  loadAlerts,
+  saveAlerts,
+  loadSearchFilters,
+  saveSearchFilters,
+  loadSearchHistory,
+  saveSearchHistory,
+  loadQuotes,
+  saveQuotes,
+  loadGridView,
+  saveGridView,
+  loadTags,
+  saveTags,
+  loadSectors,
+  saveSectors,
+  loadDisplaySettings,
+  saveDisplaySettings,
+  takeStorageProblems,
+} from './watchlistStorage';
 
-const MAX_STOCKS = 5;
+const REFRESH_INTERVALS = [
+  { label: 'Off', ms: 0 },
+  { label: 'Every minute', ms: 60 * 1000 },
+  { label: 'Every 5 minutes', ms: 5 * 60 * 1000 },
+  { label: 'Every 15 minutes', ms: 15 * 60 * 1000 },
+];
+
+// Minimum gap between two symbols' fetches in one auto-refresh round
+const MIN_STAGGER_MS = 1000;
+
+const OFFLINE_MESSAGE = "You're offline. Showing the last known price.";
+
+// A symbol another tab added is usually fetched there and its quote shared
+// with us; only fetch it ourselves if nothing has arrived after this long.
+const SYNC_FETCH_DELAY_MS = 3000;
 
 function App() {
   // ---------------------------------------------------------------------------
-  // watchlist: array of symbol strings, e.g. ["AAPL", "GOOGL"]
-  // Initialized from localStorage. This is the ONLY thing we persist.
+  // lists: [{ id, name }] — every named watchlist, in tab order.
+  // activeId: the list currently shown.
+  // watchlist: symbols of the ACTIVE list only, e.g. ["AAPL", "GOOGL"]
+  // maxStocks: size limit shared by every list.
+  // All initialized from localStorage; each list is saved under its own key
+  // (see watchlistStorage.js). A #/list/<id> URL picks the starting list.
+  // ---------------------------------------------------------------------------
+  const [lists, setLists] = useState(() => loadWatchlistIndex());
+  const [activeId, setActiveId] = useState(() => {
+    const start = parseRoute();
+    if (start.view === 'list' && lists.some((list) => list.id === start.listId)) return start.listId;
+    return loadActiveListId(lists);
+  });
+  const [watchlist, setWatchlist] = useState(() => loadSymbols(activeId));
+  const [maxStocks, setMaxStocks] = useState(() => loadMaxStocks());
+  // searchFilters: { type, region } chips applied to search results
+  const [searchFilters, setSearchFilters] = useState(() => loadSearchFilters());
+  // searchHistory: { recent, favorites } symbols offered in the empty search box
+  const [searchHistory, setSearchHistory] = useState(() => loadSearchHistory());
+
+  // ---------------------------------------------------------------------------
+  // gridView: { sortBy, sortDir, groupBy } — display only; the watchlist
+  // array itself is the manual order.
+  // tags: { AAPL: 'Long term' } custom tag per symbol, shared by every list.
+  // sectors: { AAPL: 'Technology' } from fetchOverview, cached in storage;
+  // null means the symbol has no sector (ETFs, funds).
+  // ---------------------------------------------------------------------------
+  const [gridView, setGridView] = useState(() => loadGridView());
+  const [tags, setTags] = useState(() => loadTags());
+  const [sectors, setSectors] = useState(() => loadSectors());
+
+  // ---------------------------------------------------------------------------
+  // displaySettings: { theme, density, colorScheme, locale, baseCurrency,
+  // indicators } — the settings panel: appearance, how numbers are
+  // formatted, which currency prices are converted into ('none' = as
+  // listed) and the indicator badges shown on cards.
+  // rates: { 'EUR>USD': 1.08 } exchange rates fetched for that conversion.
+  // ---------------------------------------------------------------------------
+  const [displaySettings, setDisplaySettings] = useState(() => loadDisplaySettings());
+  const [rates, setRates] = useState({});
+  const { locale, baseCurrency } = displaySettings;
+
+  // Alert messages are built inside the stable checkAlerts
+  const localeRef = useRef(locale);
+  localeRef.current = locale;
+
+  // The rate lookup skips pairs it already has without re-running on each
+  const ratesRef = useRef(rates);
+  ratesRef.current = rates;
+
+  // The sector lookup reads the cache without re-running on every answer
+  const sectorsRef = useRef(sectors);
+  sectorsRef.current = sectors;
+
+  // ---------------------------------------------------------------------------
+  // holdings: { AAPL: [{ id, shares, price, date }] } — purchase lots per
+  // symbol, persisted. Values and P&L are derived from stockData at render.
+  // ---------------------------------------------------------------------------
+  const [holdings, setHoldings] = useState(() => loadHoldings());
+
+  // ---------------------------------------------------------------------------
+  // alerts: { AAPL: [{ id, type, value, armed, triggeredAt }] } — persisted.
+  // banners: in-app messages for alerts that couldn't be sent as browser
+  // notifications (permission denied or API unavailable).
+  // ---------------------------------------------------------------------------
+  const [alerts, setAlerts] = useState(() => loadAlerts());
+  const [banners, setBanners] = useState([]);
+
+  // storageProblems: saved data that failed validation on load and was
+  // reset (see watchlistStorage.js) — shown once so nothing vanishes silently
+  const [storageProblems, setStorageProblems] = useState([]);
+
+  useEffect(() => {
+    setStorageProblems((prev) => [...prev, ...takeStorageProblems()]);
+  }, []);
+
+  // fetchStock checks rules against each fresh quote without depending on them
+  const alertsRef = useRef(alerts);
+  alertsRef.current = alerts;
+
+  // ---------------------------------------------------------------------------
+  // stockData: { AAPL: { ...quote, lastUpdated, loading, error, stale } } where
+  // quote is everything fetchQuote returns (price, change, day range, ...)
+  // Starts from the last-known quotes saved in localStorage so cards render
+  // immediately; those are marked stale until a fetch succeeds. A failed
+  // fetch keeps the old price and marks it stale instead of wiping it.
+  // online: browser connectivity — no fetches are attempted while offline.
   // ---------------------------------------------------------------------------
-  const [watchlist, setWatchlist] = useState(() => {
-    const saved = localStorage.getItem('watchlist');
-    return saved ? JSON.parse(saved) : [];
+  const [stockData, setStockData] = useState(() => {
+    const saved = loadQuotes();
+    const initial = {};
+    Object.keys(saved).forEach((symbol) => {
+      initial[symbol] = { ...saved[symbol], loading: false, error: null, stale: true };
+    });
+    return initial;
   });
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  // Cross-tab sync checks which symbols already have a quote
+  const stockDataRef = useRef(stockData);
+  stockDataRef.current = stockData;
 
   // ---------------------------------------------------------------------------
-  // stockData: { AAPL: { price, change, changePct, lastUpdated, loading, error } }
-  // Lives in memory only. Re-fetched on every page load.
+  // quota: remaining API budget from the request scheduler, or null when the
+  // active provider is unlimited (mock data).
   // ---------------------------------------------------------------------------
-  const [stockData, setStockData] = useState({});
+  const [quota, setQuota] = useState(() => getQuota());
+
+  useEffect(() => subscribeQuota(setQuota), []);
 
   // ---------------------------------------------------------------------------
-  // Persist watchlist to localStorage whenever it changes.
-  // Only symbols are written — never price data.
+  // route: what the URL hash asks for (see routes.js) — the watchlist, one
+  // list, a symbol's detail panel or a shared list. goTo updates the route
+  // straight away; 'hashchange' covers Back/Forward and edited URLs.
   // ---------------------------------------------------------------------------
+  const [route, setRoute] = useState(() => parseRoute());
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseRoute());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const goTo = useCallback((path) => {
+    navigate(path);
+    setRoute(parseRoute(path));
+  }, []);
+
+  const closeDetail = useCallback(() => goTo(WATCHLIST_PATH), [goTo]);
+
+  // ---------------------------------------------------------------------------
+  // refreshInterval: auto-refresh period in ms, 0 = off. Persisted as a
+  // user preference. marketOpen is re-checked on every auto-refresh tick.
+  // ---------------------------------------------------------------------------
+  const [refreshInterval, setRefreshInterval] = useState(() => loadRefreshInterval());
+  const [marketOpen, setMarketOpen] = useState(() => isMarketOpen());
+
+  useEffect(() => {
+    saveRefreshInterval(refreshInterval);
+  }, [refreshInterval]);
+
+  // Auto-refresh reads the latest list without restarting its timer
+  const watchlistRef = useRef(watchlist);
+  watchlistRef.current = watchlist;
+
+  // ---------------------------------------------------------------------------
+  // Persist the active list's symbols, the list index and settings whenever
+  // they change. List keys hold symbols only — quotes are saved separately.
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    saveSymbols(activeId, watchlist);
+  }, [activeId, watchlist]);
+
+  useEffect(() => {
+    saveWatchlistIndex(lists);
+  }, [lists]);
+
+  useEffect(() => {
+    saveActiveListId(activeId);
+  }, [activeId]);
+
+  useEffect(() => {
+    saveMaxStocks(maxStocks);
+  }, [maxStocks]);
+
   useEffect(() => {
-    localStorage.setItem('watchlist', JSON.stringify(watchlist));
-  }, [watchlist]);
+    saveSearchFilters(searchFilters);
+  }, [searchFilters]);
+
+  useEffect(() => {
+    saveSearchHistory(searchHistory);
+  }, [searchHistory]);
+
+  useEffect(() => {
+    saveGridView(gridView);
+  }, [gridView]);
+
+  useEffect(() => {
+    saveTags(tags);
+  }, [tags]);
+
+  useEffect(() => {
+    saveSectors(sectors);
+  }, [sectors]);
+
+  useEffect(() => {
+    saveDisplaySettings(displaySettings);
+  }, [displaySettings]);
+
+  // Theme attributes on <html>; 'system' also follows the OS as it changes
+  useEffect(() => {
+    applyTheme(displaySettings);
+    if (displaySettings.theme !== 'system') return undefined;
+    return subscribeSystemTheme(() => applyTheme(displaySettings));
+  }, [displaySettings]);
+
+  useEffect(() => {
+    saveHoldings(holdings);
+  }, [holdings]);
+
+  useEffect(() => {
+    saveAlerts(alerts);
+  }, [alerts]);
+
+  // Last-known quotes, so the next visit (or an offline one) has prices
+  useEffect(() => {
+    saveQuotes(stockData);
+  }, [stockData]);
+
+  // ---------------------------------------------------------------------------
+  // checkAlerts: fire any armed rule the fresh quote satisfies, then disarm
+  // it so it won't fire again until re-armed.
+  // ---------------------------------------------------------------------------
+  const checkAlerts = useCallback((symbol, quote) => {
+    const fired = findFiredAlerts(alertsRef.current[symbol] || [], quote);
+    if (fired.length === 0) return;
+
+    const firedIds = new Set(fired.map((rule) => rule.id));
+    const triggeredAt = Date.now();
+    setAlerts((prev) => ({
+      ...prev,
+      [symbol]: (prev[symbol] || []).map((rule) =>
+        firedIds.has(rule.id) ? { ...rule, armed: false, triggeredAt } : rule
+      ),
+    }));
+
+    fired.forEach((rule) => {
+      const formatOptions = { locale: localeRef.current };
+      const message =
+        symbol + ': ' + describeAlert(rule, quote.currency, localeRef.current) +
+        ' — now ' + formatMoney(quote.price, quote.currency, formatOptions) +
+        ' (' + formatPercent(quote.changePct, { ...formatOptions, signed: true }) + ')';
+      if (!showNotification(symbol + ' alert', message)) {
+        setBanners((prev) => [...prev, { id: rule.id + ':' + triggeredAt, message }]);
+      }
+    });
+  }, []); // alerts and locale are read through refs
 
   // ---------------------------------------------------------------------------
   // fetchStock: fetches fresh price for ONE symbol.
   // Sets that symbol's loading state independently — other cards are unaffected.
   // ---------------------------------------------------------------------------
   const fetchStock = useCallback(async (symbol) => {
+    // Offline: don't spend a call we know will fail — keep what we have
+    if (!navigator.onLine) {
+      setStockData((prev) => ({
+        ...prev,
+        [symbol]: {
+          ...(prev[symbol] || {}),
+          loading: false,
+          error: OFFLINE_MESSAGE,
+          errorKind: 'network',
+          stale: true,
+        },
+      }));
+      return;
+    }
+
     // Mark THIS stock as loading
     setStockData((prev) => ({
       ...prev,
-      [symbol]: { ...(prev[symbol] || {}), loading: true, error: null },
+      [symbol]: { ...(prev[symbol] || {}), loading: true, error: null, errorKind: null },
     }));
 
     try {
       const data = await fetchQuote(symbol);
-      // Success: store price + timestamp
+      // Success: store the whole quote + timestamp
       setStockData((prev) => ({
         ...prev,
         [symbol]: {
-          price: data.price,
-          change: data.change,
-          changePct: data.changePct,
+          ...data,
           lastUpdated: Date.now(),
           loading: false,
           error: null,
+          errorKind: null,
+          stale: false,
         },
       }));
+      checkAlerts(symbol, data);
     } catch (err) {
-      // Error: store error message, keep loading false
+      // Error: store message + kind (the card decides whether to offer a
+      // retry), keep loading false and any old price
       setStockData((prev) => ({
         ...prev,
-        [symbol]: { ...(prev[symbol] || {}), loading: false, error: err.message },
+        [symbol]: {
+          ...(prev[symbol] || {}),
+          loading: false,
+          error: err.message,
+          errorKind: err.kind || 'unknown',
+          stale: true,
+        },
       }));
     }
-  }, []); // no deps — setStockData is stable, fetchQuote is a module import
+  }, [checkAlerts]); // checkAlerts is stable, fetchQuote is a module import
 
   // ---------------------------------------------------------------------------
   // On mount: fetch prices for any symbols already in localStorage.
@@ -72,16 +390,228 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // intentionally empty — mount only
 
+  // ---------------------------------------------------------------------------
+  // Connectivity: track online/offline, and refresh the list as soon as the
+  // connection comes back.
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      watchlistRef.current.forEach((symbol) => fetchStock(symbol));
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [fetchStock]);
+
+  // ---------------------------------------------------------------------------
+  // Auto-refresh: every refreshInterval, re-fetch the whole list — but only
+  // while the tab is visible and the US market is open. Fetches within a
+  // round are staggered to fit the per-minute API budget, and a round is
+  // skipped if the daily budget can't cover it.
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    setMarketOpen(isMarketOpen());
+    if (!refreshInterval) return undefined;
+
+    let lastRound = Date.now();
+    let staggerTimers = [];
+
+    const refreshRound = () => {
+      const open = isMarketOpen();
+      setMarketOpen(open);
+      if (!open || document.hidden) return;
+
+      const symbols = watchlistRef.current;
+      const quota = getQuota();
+      if (quota && quota.dayRemaining < symbols.length) return;
+      const spacing = quota
+        ? Math.max(MIN_STAGGER_MS, Math.ceil((60 * 1000) / quota.perMinute))
+        : MIN_STAGGER_MS;
+
+      lastRound = Date.now();
+      staggerTimers.forEach(clearTimeout);
+      staggerTimers = symbols.map((symbol, i) =>
+        setTimeout(() => fetchStock(symbol), i * spacing)
+      );
+    };
+
+    const intervalId = setInterval(refreshRound, refreshInterval);
+
+    // Catch up as soon as the tab comes back if a round was missed meanwhile
+    const handleVisibilityChange = () => {
+      if (!document.hidden && Date.now() - lastRound >= refreshInterval) refreshRound();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(intervalId);
+      staggerTimers.forEach(clearTimeout);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [refreshInterval, fetchStock]);
+
+  // ---------------------------------------------------------------------------
+  // Multi-tab sync. When another tab saves a list, a setting or per-symbol
+  // data, the browser sends us a 'storage' event and we reload that piece.
+  // Writing the same value back doesn't fire an event, so tabs can't
+  // ping-pong. Which list is active stays per-tab.
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    const fetchTimers = [];
+
+    const handleStorage = (e) => {
+      if (e.storageArea !== localStorage || e.key === null) return;
+
+      if (e.key === symbolsKey(activeId)) {
+        const symbols = loadSymbols(activeId);
+        setWatchlist(symbols);
+        fetchTimers.push(
+          setTimeout(() => {
+            symbols.forEach((symbol) => {
+              if (!stockDataRef.current[symbol]) fetchStock(symbol);
+            });
+          }, SYNC_FETCH_DELAY_MS)
+        );
+      } else if (e.key === 'watchlists') {
+        const next = loadWatchlistIndex();
+        setLists(next);
+        // Our list was deleted elsewhere — fall back to the first one
+        if (!next.some((list) => list.id === activeId)) {
+          setActiveId(next[0].id);
+          setWatchlist(loadSymbols(next[0].id));
+        }
+      } else if (e.key === 'maxStocks') {
+        setMaxStocks(loadMaxStocks());
+      } else if (e.key === 'holdings') {
+        setHoldings(loadHoldings());
+      } else if (e.key === 'alerts') {
+        setAlerts(loadAlerts());
+      } else if (e.key === 'tags') {
+        setTags(loadTags());
+      } else if (e.key === 'sectors') {
+        setSectors(loadSectors());
+      } else if (e.key === 'displaySettings') {
+        setDisplaySettings(loadDisplaySettings());
+      } else if (e.key === 'searchHistory') {
+        setSearchHistory(loadSearchHistory());
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener('storage', handleStorage);
+      fetchTimers.forEach(clearTimeout);
+    };
+  }, [activeId, fetchStock]);
+
+  // Quotes another tab fetched (api.js has already cached them)
+  useEffect(
+    () =>
+      subscribeSharedQuotes((symbol, quote, time) => {
+        setStockData((prev) => ({
+          ...prev,
+          [symbol]: {
+            ...quote,
+            lastUpdated: time,
+            loading: false,
+            error: null,
+            errorKind: null,
+            stale: false,
+          },
+        }));
+      }),
+    []
+  );
+
+  // ---------------------------------------------------------------------------
+  // Grouping by sector: look up sectors we haven't cached yet. Only runs
+  // while that grouping is selected, so the calls are spent on demand.
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (gridView.groupBy !== 'sector') return undefined;
+    const missing = watchlist.filter((symbol) => !(symbol in sectorsRef.current));
+    if (missing.length === 0) return undefined;
+
+    const controller = new AbortController();
+    missing.forEach((symbol) => {
+      fetchOverview(symbol, controller.signal)
+        .then((overview) => setSectors((prev) => ({ ...prev, [symbol]: overview.sector || null })))
+        .catch((err) => {
+          // Not found is an answer (no sector); anything else is retried later
+          if (err instanceof NotFoundError) setSectors((prev) => ({ ...prev, [symbol]: null }));
+        });
+    });
+    return () => controller.abort();
+  }, [gridView.groupBy, watchlist]);
+
+  // ---------------------------------------------------------------------------
+  // Base currency: fetch a rate for every listing currency on screen that
+  // differs from it. Rates are kept per pair, so switching back and forth
+  // doesn't re-fetch. Runs when the base or the set of currencies changes.
+  // ---------------------------------------------------------------------------
+  const listedCurrencies = [...new Set(Object.values(stockData).map((data) => data.currency))]
+    .filter(Boolean)
+    .sort()
+    .join(',');
+
+  useEffect(() => {
+    if (baseCurrency === 'none') return undefined;
+    const currencies = listedCurrencies
+      .split(',')
+      .filter(
+        (currency) => currency && currency !== baseCurrency && !(ratePair(currency, baseCurrency) in ratesRef.current)
+      );
+    if (currencies.length === 0) return undefined;
+
+    const controller = new AbortController();
+    currencies.forEach((currency) => {
+      fetchExchangeRate(currency, baseCurrency, controller.signal)
+        .then((rate) => setRates((prev) => ({ ...prev, [ratePair(currency, baseCurrency)]: rate })))
+        .catch((err) => {
+          // Prices stay in their own currency until a later attempt works
+          if (err.name !== 'AbortError') console.warn('[rates] ' + currency + '>' + baseCurrency + ': ' + err.message);
+        });
+    });
+    return () => controller.abort();
+  }, [baseCurrency, listedCurrencies]);
+
+  // ---------------------------------------------------------------------------
+  // A #/list/<id> route reached by Back/Forward or an edited URL shows that
+  // list. Tab clicks switch first and then update the URL, so this is a no-op
+  // for them.
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    if (route.view !== 'list' || route.listId === activeId) return;
+    if (lists.some((list) => list.id === route.listId)) switchToList(route.listId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [route]); // only when the URL changes
+
   // ---------------------------------------------------------------------------
   // Handlers
   // ---------------------------------------------------------------------------
   const handleAdd = (symbol) => {
-    if (watchlist.length >= MAX_STOCKS) return;
+    if (watchlist.length >= maxStocks) return;
     if (watchlist.includes(symbol)) return;
     setWatchlist((prev) => [...prev, symbol]);
     fetchStock(symbol); // fetch only the new stock, not all of them
   };
 
+  // Symbols arrive already validated by the import preview; re-check
+  // duplicates and the limit here since the list may have changed meanwhile.
+  const handleImport = (symbols) => {
+    const room = maxStocks - watchlist.length;
+    const toAdd = symbols.filter((symbol) => !watchlist.includes(symbol)).slice(0, room);
+    if (toAdd.length === 0) return;
+    setWatchlist((prev) => [...prev, ...toAdd]);
+    toAdd.forEach((symbol) => fetchStock(symbol));
+  };
+
   const handleRemove = (symbol) => {
     setWatchlist((prev) => prev.filter((s) => s !== symbol));
     // Also remove its price data from memory
@@ -92,21 +622,221 @@ function App() {
     });
   };
 
+  // Manual reorder (drag or keyboard) — saved with the list like any change
+  const handleMove = (symbol, target) => {
+    setWatchlist((prev) => moveSymbol(prev, symbol, target));
+  };
+
+  const handleSortChange = (sortBy) => {
+    const option = SORT_OPTIONS.find((o) => o.value === sortBy);
+    setGridView((prev) => ({ ...prev, sortBy, sortDir: option.dir }));
+  };
+
+  const handleTagChange = (symbol, tag) => {
+    setTags((prev) => {
+      const next = { ...prev, [symbol]: tag };
+      if (!tag) delete next[symbol];
+      return next;
+    });
+  };
+
   const handleRefreshAll = () => {
     watchlist.forEach((symbol) => fetchStock(symbol));
   };
 
+  // Lots stay when a symbol is removed from a list — it may still be held
+  // or live in another list.
+  const handleAddLot = (symbol, lot) => {
+    setHoldings((prev) => ({ ...prev, [symbol]: [...(prev[symbol] || []), lot] }));
+  };
+
+  const handleRemoveLot = (symbol, lotId) => {
+    setHoldings((prev) => {
+      const lots = (prev[symbol] || []).filter((lot) => lot.id !== lotId);
+      const next = { ...prev, [symbol]: lots };
+      if (lots.length === 0) delete next[symbol];
+      return next;
+    });
+  };
+
+  const handleAddAlert = (symbol, rule) => {
+    requestNotificationPermission();
+    setAlerts((prev) => ({ ...prev, [symbol]: [...(prev[symbol] || []), rule] }));
+  };
+
+  const handleRemoveAlert = (symbol, ruleId) => {
+    setAlerts((prev) => {
+      const rules = (prev[symbol] || []).filter((rule) => rule.id !== ruleId);
+      const next = { ...prev, [symbol]: rules };
+      if (rules.length === 0) delete next[symbol];
+      return next;
+    });
+  };
+
+  const handleRearmAlert = (symbol, ruleId) => {
+    setAlerts((prev) => ({
+      ...prev,
+      [symbol]: (prev[symbol] || []).map((rule) =>
+        rule.id === ruleId ? { ...rule, armed: true, triggeredAt: null } : rule
+      ),
+    }));
+  };
+
+  const handleDismissBanner = (id) => {
+    setBanners((prev) => prev.filter((banner) => banner.id !== id));
+  };
+
+  // Show another list. Fresh prices already in memory are reused; only
+  // symbols with no price or a stale one cost an API call.
+  const switchToList = (id) => {
+    const symbols = loadSymbols(id);
+    setActiveId(id);
+    setWatchlist(symbols);
+    symbols.forEach((symbol) => {
+      if (!stockData[symbol] || stockData[symbol].stale) fetchStock(symbol);
+    });
+  };
+
+  const handleSwitchList = (id) => {
+    if (id !== activeId) switchToList(id);
+    goTo(listPath(id));
+  };
+
+  const handleCreateList = (name, symbols = []) => {
+    const id = createListId();
+    setLists((prev) => [...prev, { id, name }]);
+    setActiveId(id);
+    setWatchlist(symbols);
+    symbols.forEach((symbol) => {
+      if (!stockData[symbol] || stockData[symbol].stale) fetchStock(symbol);
+    });
+    goTo(listPath(id));
+  };
+
+  const handleRenameList = (id, name) => {
+    setLists((prev) => prev.map((list) => (list.id === id ? { ...list, name } : list)));
+  };
+
+  const handleDeleteList = (id) => {
+    const remaining = lists.filter((list) => list.id !== id);
+    if (remaining.length === 0) return;
+    removeSymbols(id);
+    setLists(remaining);
+    if (id === activeId) {
+      switchToList(remaining[0].id);
+      goTo(listPath(remaining[0].id));
+    }
+  };
+
+  // Share links: "Add to list" goes through the import path (duplicates and
+  // the size limit re-checked); "Save as new list" is handleCreateList
+  const handleAddShared = (symbols) => {
+    handleImport(symbols);
+    goTo(listPath(activeId));
+  };
+
+  // The active list can vanish for a moment when another tab deletes it
+  const activeListName = lists.find((list) => list.id === activeId)?.name || 'Watchlist';
+
   // ---------------------------------------------------------------------------
   // Render
   // ---------------------------------------------------------------------------
   return (
     <div className="app">
-      <h1>Stock Watchlist</h1>
+      <header className="app-header">
+        <h1>Stock Watchlist</h1>
+        <SettingsPanel
+          settings={displaySettings}
+          onChange={(patch) => setDisplaySettings((prev) => ({ ...prev, ...patch }))}
+        />
+      </header>
 
-      <SearchBar onAdd={handleAdd} watchlist={watchlist} />
+      {!online && (
+        <p className="offline-banner" role="status">
+          You're offline — prices are the last ones saved and will refresh when you reconnect.
+        </p>
+      )}
 
-      {watchlist.length >= MAX_STOCKS && (
-        <p className="limit-warning">Watchlist full — max {MAX_STOCKS} stocks.</p>
+      {banners.length > 0 && (
+        <div className="alert-banners" role="alert">
+          {banners.map((banner) => (
+            <p key={banner.id} className="alert-banner">
+              {banner.message}
+              <button
+                className="remove-btn"
+                aria-label="Dismiss alert"
+                onClick={() => handleDismissBanner(banner.id)}
+              >
+                &times;
+              </button>
+            </p>
+          ))}
+        </div>
+      )}
+
+      {storageProblems.length > 0 && (
+        <div className="storage-warning" role="alert">
+          <div>
+            <p>Some saved data couldn't be read:</p>
+            <ul>
+              {storageProblems.map((problem) => (
+                <li key={problem.key}>
+                  {problem.key} — {problem.reason}
+                </li>
+              ))}
+            </ul>
+            <p>Affected values were reset; the originals are kept under "&lt;key&gt;:corrupt".</p>
+          </div>
+          <button className="remove-btn" aria-label="Dismiss warning" onClick={() => setStorageProblems([])}>
+            &times;
+          </button>
+        </div>
+      )}
+
+      {route.view === 'share' && (
+        <SharedListPrompt
+          name={route.name}
+          symbols={parseShared(route.symbols)}
+          listName={activeListName}
+          watchlist={watchlist}
+          maxStocks={maxStocks}
+          onAddToList={handleAddShared}
+          onSaveAsList={handleCreateList}
+          onDismiss={() => goTo(WATCHLIST_PATH)}
+        />
+      )}
+
+      <WatchlistManager
+        lists={lists}
+        activeId={activeId}
+        onSwitch={handleSwitchList}
+        onCreate={handleCreateList}
+        onRename={handleRenameList}
+        onDelete={handleDeleteList}
+        maxStocks={maxStocks}
+        onMaxStocksChange={setMaxStocks}
+      />
+
+      <ImportExport
+        listName={activeListName}
+        watchlist={watchlist}
+        stockData={stockData}
+        maxStocks={maxStocks}
+        onImport={handleImport}
+      />
+
+      <SearchBar
+        onAdd={handleAdd}
+        watchlist={watchlist}
+        maxStocks={maxStocks}
+        filters={searchFilters}
+        onFiltersChange={setSearchFilters}
+        history={searchHistory}
+        onHistoryChange={setSearchHistory}
+      />
+
+      {watchlist.length >= maxStocks && (
+        <p className="limit-warning">Watchlist full — max {maxStocks} stocks.</p>
       )}
 
       {watchlist.length > 0 && (
@@ -115,16 +845,157 @@ function App() {
         </button>
       )}
 
-      <div className="watchlist">
-        {watchlist.map((symbol) => (
+      {watchlist.length > 0 && (
+        <div className="auto-refresh">
+          <label>
+            Auto-refresh{' '}
+            <select
+              value={refreshInterval}
+              onChange={(e) => setRefreshInterval(Number(e.target.value))}
+            >
+              {REFRESH_INTERVALS.map((option) => (
+                <option key={option.ms} value={option.ms}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {refreshInterval > 0 && !marketOpen && (
+            <span className="auto-refresh-status">Market closed — paused</span>
+          )}
+        </div>
+      )}
+
+      {quota && (
+        <p className="quota">
+          API calls left: {quota.minuteRemaining}/{quota.perMinute} this minute ·{' '}
+          {quota.dayRemaining}/{quota.perDay} today
+          {quota.queued > 0 && ' · ' + quota.queued + ' queued'}
+        </p>
+      )}
+
+      <PortfolioSummary
+        watchlist={watchlist}
+        holdings={holdings}
+        stockData={stockData}
+        baseCurrency={baseCurrency}
+        rates={rates}
+        locale={locale}
+      />
+
+      {/* A dashboard of one symbol would only repeat its card */}
+      {watchlist.length > 1 && (
+        <PerformanceDashboard
+          watchlist={watchlist}
+          stockData={stockData}
+          locale={locale}
+          onSelect={(symbol) => goTo(symbolPath(symbol))}
+        />
+      )}
+
+      {/* Sorting needs two symbols; comparing can start from one */}
+      {watchlist.length > 0 && (
+        <div className="view-controls">
+          {watchlist.length > 1 && (
+            <>
+              <label>
+                Sort by{' '}
+                <select value={gridView.sortBy} onChange={(e) => handleSortChange(e.target.value)}>
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {gridView.sortBy !== 'manual' && (
+                <button
+                  className="sort-dir-btn"
+                  onClick={() =>
+                    setGridView((prev) => ({ ...prev, sortDir: prev.sortDir === 'asc' ? 'desc' : 'asc' }))
+                  }
+                >
+                  {gridView.sortDir === 'asc' ? 'Ascending ↑' : 'Descending ↓'}
+                </button>
+              )}
+              <label>
+                Group by{' '}
+                <select
+                  value={gridView.groupBy}
+                  onChange={(e) => setGridView((prev) => ({ ...prev, groupBy: e.target.value }))}
+                >
+                  {GROUP_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+          <button
+            className="compare-btn"
+            onClick={() => goTo(comparePath(watchlist.slice(0, MAX_COMPARE_SYMBOLS), DEFAULT_COMPARE_RANGE))}
+          >
+            Compare
+          </button>
+        </div>
+      )}
+
+      <WatchlistGrid
+        groups={groupSymbols(
+          sortSymbols(watchlist, stockData, gridView.sortBy, gridView.sortDir),
+          gridView.groupBy,
+          { sectors, tags }
+        )}
+        reorderable={gridView.sortBy === 'manual' && watchlist.length > 1}
+        onMove={handleMove}
+        renderCard={(symbol) => (
           <StockCard
-            key={symbol}
             symbol={symbol}
             data={stockData[symbol]}
+            lots={holdings[symbol]}
+            alertRules={alerts[symbol]}
+            tag={tags[symbol]}
+            locale={locale}
+            baseCurrency={baseCurrency}
+            rates={rates}
+            indicators={displaySettings.indicators}
             onRemove={() => handleRemove(symbol)}
+            onRetry={() => fetchStock(symbol)}
+            onShowDetails={() => goTo(symbolPath(symbol))}
+            onAddLot={(lot) => handleAddLot(symbol, lot)}
+            onRemoveLot={(lotId) => handleRemoveLot(symbol, lotId)}
+            onAddAlert={(rule) => handleAddAlert(symbol, rule)}
+            onRemoveAlert={(ruleId) => handleRemoveAlert(symbol, ruleId)}
+            onRearmAlert={(ruleId) => handleRearmAlert(symbol, ruleId)}
+            onTagChange={(tag) => handleTagChange(symbol, tag)}
           />
-        ))}
-      </div>
+        )}
+      />
+
+      {route.view === 'symbol' && (
+        <CompanyDetail
+          symbol={route.symbol}
+          quote={stockData[route.symbol]}
+          locale={locale}
+          inWatchlist={watchlist.includes(route.symbol)}
+          canAdd={watchlist.length < maxStocks}
+          onAdd={() => handleAdd(route.symbol)}
+          onClose={closeDetail}
+        />
+      )}
+
+      {route.view === 'compare' && (
+        <ComparisonView
+          symbols={route.symbols}
+          range={route.range}
+          watchlist={watchlist}
+          locale={locale}
+          onChange={(symbols, range) => goTo(comparePath(symbols, range))}
+          onClose={closeDetail}
+        />
+      )}
     </div>
   );
 }
@@ -1,17 +1,22 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { vi, describe, it, expect, beforeEach } from 'vitest';
 import App from './App';
 import * as api from './api';
+import { TimeoutError, NotFoundError } from './apiErrors';
 
 // Replace the real api module with mock functions for every test
 vi.mock('./api');
 
 beforeEach(() => {
-  // Fresh localStorage before each test
+  // Fresh localStorage and URL before each test
   localStorage.clear();
+  window.location.hash = '';
   // Reset all mocks so call counts don't leak between tests
   vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  // The local symbol directory is synchronous and always answers a list
+  api.searchLocalSymbols.mockReturnValue([]);
 });
 
 // ===========================================================================
@@ -21,7 +26,7 @@ describe('Search debounce', () => {
   it('should NOT call searchSymbol immediately when user types', async () => {
     // Set up mocks (even though we don't expect them to be called yet)
     api.searchSymbol.mockResolvedValue([{ symbol: 'AAPL', name: 'Apple Inc' }]);
-    api.fetchQuote.mockResolvedValue({ price: '150.00', change: '1.00', changePct: '0.67%' });
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
 
     render(<App />);
     const input = screen.getByPlaceholderText(/search/i);
@@ -41,7 +46,7 @@ describe('Search debounce', () => {
 
   it('should call searchSymbol only ONCE after typing stops, not per keystroke', async () => {
     api.searchSymbol.mockResolvedValue([{ symbol: 'AAPL', name: 'Apple Inc' }]);
-    api.fetchQuote.mockResolvedValue({ price: '150.00', change: '1.00', changePct: '0.67%' });
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
 
     render(<App />);
     const input = screen.getByPlaceholderText(/search/i);
@@ -59,6 +64,27 @@ describe('Search debounce', () => {
     expect(api.searchSymbol).toHaveBeenCalledTimes(1);
     expect(api.searchSymbol).toHaveBeenCalledWith('AAPL', expect.anything());
   });
+
+  it('should cancel a search still in flight when the box is cleared', async () => {
+    // Like the real api, the search rejects once its caller aborts
+    let answer;
+    api.searchSymbol.mockImplementation(
+      (keyword, signal) =>
+        new Promise((resolve, reject) => {
+          answer = () => resolve([{ symbol: 'XYZ', name: 'Xyz Corp' }]);
+          signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        })
+    );
+
+    render(<App />);
+    const input = screen.getByPlaceholderText(/search/i);
+    await userEvent.type(input, 'XYZ');
+    await waitFor(() => expect(api.searchSymbol).toHaveBeenCalled(), { timeout: 700 });
+
+    await userEvent.clear(input);
+    await act(async () => answer());
+    expect(screen.queryByText(/Xyz Corp/)).not.toBeInTheDocument();
+  });
 });
 
 // ===========================================================================
@@ -67,7 +93,7 @@ describe('Search debounce', () => {
 describe('localStorage persistence', () => {
   it('should persist only the symbol array to localStorage when a stock is added', async () => {
     api.searchSymbol.mockResolvedValue([{ symbol: 'AAPL', name: 'Apple Inc' }]);
-    api.fetchQuote.mockResolvedValue({ price: '150.00', change: '1.00', changePct: '0.67%' });
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
 
     render(<App />);
     const input = screen.getByPlaceholderText(/search/i);
@@ -95,7 +121,7 @@ describe('localStorage persistence', () => {
   it('should load symbols from localStorage on mount and fetch their prices', async () => {
     // Pre-populate localStorage as if user had added MSFT in a previous session
     localStorage.setItem('watchlist', JSON.stringify(['MSFT']));
-    api.fetchQuote.mockResolvedValue({ price: '380.00', change: '2.50', changePct: '0.66%' });
+    api.fetchQuote.mockResolvedValue({ price: 380, change: 2.5, changePct: 0.66, currency: 'USD' });
 
     render(<App />);
 
@@ -143,7 +169,7 @@ describe('Error handling', () => {
 describe('Add and remove stock', () => {
   it('should add a stock to the watchlist and then remove it cleanly', async () => {
     api.searchSymbol.mockResolvedValue([{ symbol: 'TSLA', name: 'Tesla Inc' }]);
-    api.fetchQuote.mockResolvedValue({ price: '250.00', change: '-3.00', changePct: '-1.18%' });
+    api.fetchQuote.mockResolvedValue({ price: 250, change: -3, changePct: -1.18, currency: 'USD' });
 
     render(<App />);
     const input = screen.getByPlaceholderText(/search/i);
@@ -175,3 +201,791 @@ describe('Add and remove stock', () => {
     expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual([]);
   });
 });
+
+// ===========================================================================
+// 5. PRICE CHART — history is fetched only when a card is expanded
+// ===========================================================================
+describe('Price chart', () => {
+  it('should fetch history on expand and refetch the right series when the range changes', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+    api.fetchHistory.mockResolvedValue([
+      { date: '2025-01-29', close: 140 },
+      { date: '2025-01-30', close: 145 },
+      { date: '2025-01-31', close: 150 },
+    ]);
+
+    render(<App />);
+    await userEvent.click(await screen.findByText('Show chart'));
+
+    // Default 1M range comes from the daily series
+    expect(await screen.findByRole('img', { name: /AAPL price/ })).toBeInTheDocument();
+    expect(api.fetchHistory).toHaveBeenCalledWith('AAPL', 'daily', expect.anything());
+    expect(screen.getByText('+7.14%')).toBeInTheDocument();
+
+    // 5Y switches to the weekly series
+    await userEvent.click(screen.getByRole('button', { name: '5Y' }));
+    await waitFor(() => {
+      expect(api.fetchHistory).toHaveBeenCalledWith('AAPL', 'weekly', expect.anything());
+    });
+  });
+});
+
+// ===========================================================================
+// 6. MULTIPLE WATCHLISTS — each list is persisted under its own key
+// ===========================================================================
+describe('Multiple watchlists', () => {
+  it('should switch between saved lists and create a new empty one', async () => {
+    localStorage.setItem(
+      'watchlists',
+      JSON.stringify([{ id: 'default', name: 'Holdings' }, { id: 'semis', name: 'Semis' }])
+    );
+    localStorage.setItem('watchlist', JSON.stringify(['MSFT']));
+    localStorage.setItem('watchlist:semis', JSON.stringify(['NVDA']));
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+
+    render(<App />);
+    expect(screen.getByText('MSFT')).toBeInTheDocument();
+
+    // --- SWITCH ---
+    await userEvent.click(screen.getByRole('tab', { name: 'Semis' }));
+    expect(screen.getByText('NVDA')).toBeInTheDocument();
+    expect(screen.queryByText('MSFT')).not.toBeInTheDocument();
+    expect(api.fetchQuote).toHaveBeenCalledWith('NVDA');
+    expect(localStorage.getItem('activeWatchlist')).toBe('semis');
+
+    // --- CREATE ---
+    await userEvent.click(screen.getByText('+ New list'));
+    await userEvent.type(screen.getByLabelText('List name'), 'EV{enter}');
+    expect(screen.getByRole('tab', { name: 'EV' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.queryByText('NVDA')).not.toBeInTheDocument();
+
+    // The other lists are untouched
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['MSFT']);
+    expect(JSON.parse(localStorage.getItem('watchlist:semis'))).toEqual(['NVDA']);
+    expect(JSON.parse(localStorage.getItem('watchlists'))).toHaveLength(3);
+  });
+});
+
+// ===========================================================================
+// 7. HOLDINGS — lots persist and P&L is computed from the fetched price
+// ===========================================================================
+describe('Holdings', () => {
+  it('should record a lot and show market value and unrealized P&L', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+
+    render(<App />);
+    await userEvent.click(await screen.findByText('Holdings'));
+
+    await userEvent.type(screen.getByLabelText('AAPL shares'), '10');
+    await userEvent.type(screen.getByLabelText('AAPL purchase price'), '100');
+    await userEvent.click(screen.getByText('Add lot'));
+
+    // Card shows the position: 10 × $150 = $1500, cost $1000
+    expect(screen.getByText(/10 sh · \$1,500\.00/)).toBeInTheDocument();
+    // Summary shows the totals across the list
+    expect(screen.getByText('Market value')).toBeInTheDocument();
+    expect(screen.getAllByText(/\+\$500\.00/)).toHaveLength(2);
+
+    // Lots are persisted alongside the symbol list
+    const stored = JSON.parse(localStorage.getItem('holdings'));
+    expect(stored.AAPL).toHaveLength(1);
+    expect(stored.AAPL[0]).toMatchObject({ shares: 10, price: 100 });
+  });
+});
+
+// ===========================================================================
+// 8. PRICE ALERTS — fire once on a fresh quote, then stay disarmed
+// ===========================================================================
+describe('Price alerts', () => {
+  it('should fire an armed alert as an in-app banner and disarm it', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    localStorage.setItem(
+      'alerts',
+      JSON.stringify({ AAPL: [{ id: 'a1', type: 'above', value: 140, armed: true, triggeredAt: null }] })
+    );
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+
+    render(<App />);
+
+    // No Notification permission in the test environment → banner fallback
+    expect(await screen.findByText(/AAPL: Price above \$140\.00 — now \$150\.00/)).toBeInTheDocument();
+    expect(screen.getByText('1 triggered')).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('alerts')).AAPL[0].armed).toBe(false);
+
+    // A second refresh must not fire it again
+    await userEvent.click(screen.getByLabelText('Dismiss alert'));
+    await userEvent.click(screen.getByText('Refresh All'));
+    await waitFor(() => expect(api.fetchQuote).toHaveBeenCalledTimes(2));
+    expect(screen.queryByText(/AAPL: Price above/)).not.toBeInTheDocument();
+  });
+
+  it('should fall back to the banner when the Notification constructor throws', async () => {
+    // Android Chrome: permission granted, but only a service worker may notify
+    function ThrowingNotification() {
+      throw new TypeError('Illegal constructor');
+    }
+    ThrowingNotification.permission = 'granted';
+    vi.stubGlobal('Notification', ThrowingNotification);
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    localStorage.setItem(
+      'alerts',
+      JSON.stringify({ AAPL: [{ id: 'a1', type: 'above', value: 140, armed: true, triggeredAt: null }] })
+    );
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+
+    render(<App />);
+
+    expect(await screen.findByText(/AAPL: Price above \$140\.00 — now \$150\.00/)).toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 9. IMPORT — symbols are validated and previewed before being added
+// ===========================================================================
+describe('Import watchlist', () => {
+  it('should preview a CSV import and add only the validated symbols', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['MSFT']));
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+    api.searchSymbol.mockImplementation(async (keyword) => {
+      if (keyword === 'AAPL') return [{ symbol: 'AAPL', name: 'Apple Inc' }];
+      throw new NotFoundError();
+    });
+
+    render(<App />);
+    const csv = 'symbol,price\nmsft,380.00\naapl,150.00\nZZZZ,1.00\n';
+    const file = new File([csv], 'list.csv', { type: 'text/csv' });
+    await userEvent.upload(screen.getByLabelText('Import…'), file);
+
+    // Preview: duplicate skipped, unknown rejected, valid one ready to add
+    expect(await screen.findByText('Will be added')).toBeInTheDocument();
+    expect(screen.getByText('Already in list')).toBeInTheDocument();
+    expect(screen.getByText('Unknown symbol')).toBeInTheDocument();
+    expect(api.searchSymbol).not.toHaveBeenCalledWith('MSFT');
+
+    await userEvent.click(screen.getByText('Add 1 stock'));
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['MSFT', 'AAPL']);
+    expect(api.fetchQuote).toHaveBeenCalledWith('AAPL');
+  });
+});
+
+// ===========================================================================
+// 10. SEARCH COMBOBOX — keyboard navigation and inline messages
+// ===========================================================================
+describe('Search keyboard navigation', () => {
+  it('should add the highlighted result with arrow keys and Enter', async () => {
+    api.searchSymbol.mockResolvedValue([
+      { symbol: 'AAPL', name: 'Apple Inc' },
+      { symbol: 'AAPLX', name: 'Apple Hospitality REIT' },
+    ]);
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+
+    render(<App />);
+    const input = screen.getByRole('combobox', { name: 'Search stocks' });
+    await userEvent.type(input, 'AAPL');
+    await waitFor(() => expect(screen.getByRole('listbox')).toBeVisible(), { timeout: 700 });
+    expect(screen.getByText(/2 results available/)).toBeInTheDocument();
+
+    // Down twice → second option, Up once → back to the first
+    await userEvent.keyboard('{ArrowDown}{ArrowDown}{ArrowUp}');
+    expect(screen.getByRole('option', { name: /Apple Inc/ })).toHaveAttribute('aria-selected', 'true');
+
+    await userEvent.keyboard('{Enter}');
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['AAPL']);
+  });
+
+  it('should explain a duplicate pick inline instead of using alert(), and close on Escape', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.searchSymbol.mockResolvedValue([{ symbol: 'AAPL', name: 'Apple Inc' }]);
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+    const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+
+    render(<App />);
+    const input = screen.getByRole('combobox', { name: 'Search stocks' });
+    await userEvent.type(input, 'AAPL');
+    await waitFor(() => expect(screen.getByText(/Apple Inc/)).toBeInTheDocument(), { timeout: 700 });
+    await userEvent.click(screen.getByText(/Apple Inc/));
+
+    expect(screen.getByText('AAPL is already in your watchlist.')).toBeInTheDocument();
+    expect(alertSpy).not.toHaveBeenCalled();
+
+    await userEvent.click(input);
+    await userEvent.keyboard('{Escape}');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+});
+
+// ===========================================================================
+// 11. SEARCH FILTERS — region / type chips hide unwanted listings
+// ===========================================================================
+describe('Search filters', () => {
+  it('should hide foreign listings once a region chip is selected and remember it', async () => {
+    api.searchSymbol.mockResolvedValue([
+      { symbol: 'AAPL', name: 'Apple Inc', type: 'Equity', region: 'United States', currency: 'USD', matchScore: 1 },
+      { symbol: 'APC.DEX', name: 'Apple Inc', type: 'Equity', region: 'XETRA', currency: 'EUR', matchScore: 0.55 },
+    ]);
+
+    render(<App />);
+    await userEvent.type(screen.getByRole('combobox', { name: 'Search stocks' }), 'AAPL');
+    const results = () => within(screen.getByRole('listbox')).getAllByRole('option');
+    await waitFor(() => expect(results()).toHaveLength(2), { timeout: 700 });
+    expect(screen.getByText(/Equity · XETRA · EUR/)).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'United States' }));
+    expect(results()).toHaveLength(1);
+    expect(screen.getByText(/1 result available, 1 hidden by filters/)).toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('searchFilters'))).toEqual({ type: 'all', region: 'United States' });
+  });
+});
+
+// ===========================================================================
+// 12. OFFLINE-FIRST QUOTES — last-known prices survive reloads and failures
+// ===========================================================================
+describe('Last-known quotes', () => {
+  it('should show the saved price immediately and keep it, marked stale, when the fetch fails', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    localStorage.setItem(
+      'quotes',
+      JSON.stringify({
+        AAPL: { price: 140, change: 2, changePct: 1.45, currency: 'USD', lastUpdated: Date.now() - 60000 },
+      })
+    );
+    api.fetchQuote.mockRejectedValue(new Error('Connection timed out. Please try again.'));
+
+    render(<App />);
+
+    // Rendered from storage before the fetch settles — no "Loading..."
+    expect(screen.getByText('$140.00')).toBeInTheDocument();
+    expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+
+    // Fetch fails: old price stays, with a stale badge and the error
+    expect(await screen.findByText('Connection timed out. Please try again.')).toBeInTheDocument();
+    expect(screen.getByText('$140.00')).toBeInTheDocument();
+    expect(screen.getByText(/Stale as of/)).toBeInTheDocument();
+  });
+
+  it('should save fresh quotes for the next visit', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['MSFT']));
+    api.fetchQuote.mockResolvedValue({ price: 380, change: 2.5, changePct: 0.66, currency: 'USD' });
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(JSON.parse(localStorage.getItem('quotes')).MSFT).toMatchObject({ price: 380, currency: 'USD' });
+    });
+    expect(screen.queryByText(/Stale as of/)).not.toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 13. RETRY — a failed card can be retried on its own
+// ===========================================================================
+describe('Per-card retry', () => {
+  it('should refetch just that symbol when Retry is clicked after a transient error', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote
+      .mockRejectedValueOnce(new TimeoutError())
+      .mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Retry' }));
+
+    expect(await screen.findByText('$150.00')).toBeInTheDocument();
+    expect(api.fetchQuote).toHaveBeenCalledTimes(2);
+    expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+  });
+
+  it('should not offer Retry for an unknown symbol', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['ZZZZ']));
+    api.fetchQuote.mockRejectedValue(new NotFoundError());
+
+    render(<App />);
+
+    expect(await screen.findByText('Symbol not found. Check your spelling.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Retry' })).not.toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 14. SORT / GROUP / REORDER — display order vs. the saved manual order
+// ===========================================================================
+describe('Sorting and reordering', () => {
+  it('should reorder with the keyboard handle and save the new manual order', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL', 'MSFT', 'TSLA']));
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    screen.getByRole('button', { name: 'Move TSLA' }).focus();
+    await user.keyboard('{ArrowUp}');
+
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['AAPL', 'TSLA', 'MSFT']);
+    expect(screen.getByText('TSLA moved to position 2 of 3.')).toBeInTheDocument();
+  });
+
+  it('should sort by price without changing the saved order, and group by tag', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL', 'MSFT', 'TSLA']));
+    localStorage.setItem('tags', JSON.stringify({ TSLA: 'Speculative' }));
+    const prices = { AAPL: 228.87, MSFT: 409.18, TSLA: 350.4 };
+    api.fetchQuote.mockImplementation(async (symbol) => ({ price: prices[symbol], change: 1, changePct: 1, currency: 'USD' }));
+    const user = userEvent.setup();
+
+    render(<App />);
+    await screen.findByText('$228.87');
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Sort by' }), 'price');
+    const headings = screen.getAllByRole('heading', { level: 3 }).map((h) => h.textContent);
+    expect(headings).toEqual(['MSFT', 'TSLASpeculative', 'AAPL']);
+    // Sorted view only — no move handles, saved order untouched
+    expect(screen.queryByRole('button', { name: 'Move AAPL' })).not.toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['AAPL', 'MSFT', 'TSLA']);
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Group by' }), 'tag');
+    expect(screen.getByRole('region', { name: 'Speculative' })).toHaveTextContent('TSLA');
+    expect(screen.getByRole('region', { name: 'Untagged' })).toHaveTextContent('MSFT');
+    expect(JSON.parse(localStorage.getItem('gridView'))).toMatchObject({ sortBy: 'price', groupBy: 'tag' });
+  });
+});
+
+// ===========================================================================
+// 15. COMPANY DETAIL — fundamentals and news, deep-linkable by URL
+// ===========================================================================
+describe('Company detail panel', () => {
+  it('should open from a card, show fundamentals and news, and update the URL', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 228.87, change: 2.45, changePct: 1.08, currency: 'USD' });
+    api.fetchOverview.mockResolvedValue({
+      symbol: 'AAPL', name: 'Apple Inc', description: 'Makes phones.', exchange: 'NASDAQ', currency: 'USD',
+      sector: 'Technology', industry: 'Electronic Computers', marketCap: 3440000000000,
+      peRatio: 37.6, week52High: 259.81, week52Low: 163.49, dividendYield: 0.0044,
+    });
+    api.fetchNews.mockResolvedValue([
+      { title: 'Apple shares rise', url: 'https://example.com/a', source: 'Wire', publishedAt: '2025-01-31T18:00:00', summary: '', sentiment: 'Bullish' },
+    ]);
+    const user = userEvent.setup();
+
+    render(<App />);
+    await user.click(await screen.findByRole('button', { name: 'Show AAPL details' }));
+
+    const dialog = await screen.findByRole('dialog', { name: /AAPL/ });
+    expect(window.location.hash).toBe('#/symbol/AAPL');
+    expect(await within(dialog).findByText('$3.44T')).toBeInTheDocument();
+    expect(within(dialog).getByText('163.49 – 259.81')).toBeInTheDocument();
+    expect(within(dialog).getByText('0.44%')).toBeInTheDocument();
+    expect(within(dialog).getByRole('link', { name: 'Apple shares rise' })).toHaveAttribute('href', 'https://example.com/a');
+
+    await user.keyboard('{Escape}');
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+  });
+
+  it('should open straight from a #/symbol/ link and offer to add the symbol', async () => {
+    window.location.hash = '#/symbol/msft';
+    api.fetchQuote.mockResolvedValue({ price: 409.18, change: 5.2, changePct: 1.29, currency: 'USD' });
+    api.fetchOverview.mockRejectedValue(new NotFoundError());
+    api.fetchNews.mockResolvedValue([]);
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    const dialog = screen.getByRole('dialog', { name: /MSFT/ });
+    expect(await within(dialog).findByText('No recent news.')).toBeInTheDocument();
+    await user.click(within(dialog).getByRole('button', { name: 'Add to watchlist' }));
+
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['MSFT']);
+    expect(within(dialog).queryByRole('button', { name: 'Add to watchlist' })).not.toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 16. ROUTING AND SHARE LINKS
+// ===========================================================================
+describe('Routes and share links', () => {
+  it('should open the list named in a #/list/ URL and follow tab clicks in the URL', async () => {
+    localStorage.setItem('watchlists', JSON.stringify([
+      { id: 'default', name: 'My Watchlist' },
+      { id: 'list-tech', name: 'Tech' },
+    ]));
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    localStorage.setItem('watchlist:list-tech', JSON.stringify(['NVDA']));
+    window.location.hash = '#/list/list-tech';
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+    const user = userEvent.setup();
+
+    render(<App />);
+    expect(screen.getByRole('tab', { name: 'Tech' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.getByRole('button', { name: 'Show NVDA details' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('tab', { name: 'My Watchlist' }));
+    expect(window.location.hash).toBe('#/list/default');
+    expect(screen.getByRole('button', { name: 'Show AAPL details' })).toBeInTheDocument();
+  });
+
+  it('should offer the symbols of a share link and add only new, valid ones', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    window.location.hash = '#/share?name=Friends&symbols=aapl,msft,not%20a%20ticker,TSLA';
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+    const user = userEvent.setup();
+
+    render(<App />);
+
+    const prompt = screen.getByRole('region', { name: 'Shared watchlist' });
+    expect(prompt).toHaveTextContent('Friends');
+    expect(prompt).toHaveTextContent('AAPL, MSFT, TSLA');
+    await user.click(within(prompt).getByRole('button', { name: 'Add 2 to My Watchlist' }));
+
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['AAPL', 'MSFT', 'TSLA']);
+    expect(screen.queryByRole('region', { name: 'Shared watchlist' })).not.toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 17. MULTI-TAB SYNC — storage events and quotes shared by other tabs
+// ===========================================================================
+describe('Multi-tab sync', () => {
+  it('should pick up a stock added in another tab', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+
+    render(<App />);
+    await screen.findByText('$100.00');
+
+    // Another tab saves the list; the browser tells us with a storage event
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL', 'MSFT']));
+    window.dispatchEvent(
+      new StorageEvent('storage', { key: 'watchlist', storageArea: localStorage })
+    );
+
+    expect(await screen.findByRole('button', { name: 'Show MSFT details' })).toBeInTheDocument();
+  });
+
+  it('should show a quote fetched by another tab without fetching it again', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 100, change: 1, changePct: 1, currency: 'USD' });
+    let shareQuote;
+    api.subscribeSharedQuotes.mockImplementation((listener) => {
+      shareQuote = listener;
+      return () => {};
+    });
+
+    render(<App />);
+    await screen.findByText('$100.00');
+
+    act(() => shareQuote('AAPL', { price: 101.5, change: 2.5, changePct: 2.52, currency: 'USD' }, Date.now()));
+
+    expect(screen.getByText('$101.50')).toBeInTheDocument();
+    expect(api.fetchQuote).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ===========================================================================
+// 18. CORRUPTED STORAGE — the app still starts and says what was reset
+// ===========================================================================
+describe('Corrupted storage', () => {
+  it('should start with defaults and report the unreadable keys', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem('watchlist', '{not json');
+    localStorage.setItem('alerts', JSON.stringify(['not', 'a', 'map']));
+
+    render(<App />);
+
+    const warning = await screen.findByRole('alert');
+    expect(warning).toHaveTextContent('watchlist — not valid JSON');
+    expect(warning).toHaveTextContent('alerts — unexpected format');
+    expect(screen.getByRole('heading', { name: 'Stock Watchlist' })).toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 19. CURRENCY — prices formatted per locale and converted to a base currency
+// ===========================================================================
+describe('Currency and locale', () => {
+  it('should convert prices into the chosen base currency', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['SAP.DEX']));
+    api.fetchQuote.mockResolvedValue({ price: 200, change: -2, changePct: -0.99, currency: 'EUR' });
+    api.fetchExchangeRate.mockResolvedValue(1.1);
+
+    render(<App />);
+
+    // Listed in euros; nothing is converted until a base currency is chosen
+    expect(await screen.findByText('€200.00')).toBeInTheDocument();
+    expect(api.fetchExchangeRate).not.toHaveBeenCalled();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Settings' }));
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: 'Show prices in' }), 'USD');
+
+    expect(await screen.findByText('$220.00')).toBeInTheDocument();
+    expect(screen.getByText('€200.00')).toBeInTheDocument();
+    expect(api.fetchExchangeRate).toHaveBeenCalledWith('EUR', 'USD', expect.anything());
+    expect(JSON.parse(localStorage.getItem('displaySettings'))).toMatchObject({ baseCurrency: 'USD' });
+  });
+
+  it('should format numbers for the chosen locale', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['MSFT']));
+    api.fetchQuote.mockResolvedValue({ price: 1409.18, change: 5.2, changePct: 1.29, currency: 'USD' });
+
+    render(<App />);
+    expect(await screen.findByText('$1,409.18')).toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Settings' }));
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: 'Number format' }), 'de-DE');
+
+    expect(screen.getByText('1.409,18 $')).toBeInTheDocument();
+    expect(screen.getByText('+5,20 $ (+1,29 %)')).toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 20. SESSION DETAILS — day range, volume and the quote's trading day
+// ===========================================================================
+describe('Session details', () => {
+  it('should show the day range and volume, and flag a quote from a prior session', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({
+      price: 228.87,
+      change: 2.45,
+      changePct: 1.08,
+      currency: 'USD',
+      open: 226.5,
+      high: 230.1,
+      low: 225.75,
+      volume: 52340000,
+      previousClose: 226.42,
+      latestTradingDay: '2025-01-31',
+    });
+
+    render(<App />);
+
+    expect(await screen.findByRole('img', { name: 'Day range $225.75 to $230.10' })).toBeInTheDocument();
+    expect(screen.getByText('Vol 52.3M')).toBeInTheDocument();
+    expect(screen.getByText('Prior session · Fri, Jan 31')).toHaveClass('prior-session');
+    // The whole quote is kept for the next visit
+    await waitFor(() =>
+      expect(JSON.parse(localStorage.getItem('quotes')).AAPL).toMatchObject({ high: 230.1, latestTradingDay: '2025-01-31' })
+    );
+  });
+});
+
+// ===========================================================================
+// 21. SETTINGS PANEL — theme, density and up/down colours on <html>
+// ===========================================================================
+describe('Settings panel', () => {
+  it('should apply and persist the theme, density and color scheme', async () => {
+    render(<App />);
+    const root = document.documentElement;
+    // Follows the system by default (light in the test environment)
+    expect(root.dataset.theme).toBe('light');
+
+    await userEvent.click(screen.getByRole('button', { name: 'Settings' }));
+    await userEvent.click(screen.getByRole('radio', { name: 'Dark' }));
+    await userEvent.click(screen.getByRole('radio', { name: 'Compact' }));
+    await userEvent.click(screen.getByRole('radio', { name: 'Blue / orange (colorblind-safe)' }));
+
+    expect(root.dataset).toMatchObject({ theme: 'dark', density: 'compact', colors: 'blue-orange' });
+    expect(JSON.parse(localStorage.getItem('displaySettings'))).toMatchObject({
+      theme: 'dark',
+      density: 'compact',
+      colorScheme: 'blue-orange',
+    });
+  });
+});
+
+
+// ===========================================================================
+// 22. SYMBOL DIRECTORY — local matches skip the API; recent and favorite
+// picks show while the search box is empty
+// ===========================================================================
+describe('Symbol directory and search history', () => {
+  it('should show local matches at once without calling the remote search', async () => {
+    api.searchLocalSymbols.mockImplementation((keyword) =>
+      keyword.toUpperCase().startsWith('MS')
+        ? [{ symbol: 'MSFT', name: 'Microsoft Corp', type: 'Equity', exchange: 'NASDAQ', region: 'United States', currency: 'USD', matchScore: 0.9 }]
+        : []
+    );
+    api.searchSymbol.mockResolvedValue([{ symbol: 'ZZZ', name: 'Remote Only' }]);
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+
+    render(<App />);
+    const input = screen.getByRole('combobox', { name: 'Search stocks' });
+    await userEvent.type(input, 'MS');
+
+    // No debounce wait — the option is already there
+    expect(screen.getByRole('option', { name: /Microsoft Corp/ })).toBeInTheDocument();
+    expect(screen.getByText(/Equity · NASDAQ · USD/)).toBeInTheDocument();
+    expect(api.loadSymbolDirectory).toHaveBeenCalled();
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    expect(api.searchSymbol).not.toHaveBeenCalled();
+
+    // Nothing local — the remote search runs after the debounce
+    await userEvent.clear(input);
+    await userEvent.type(input, 'ZZ');
+    await waitFor(() => expect(api.searchSymbol).toHaveBeenCalledWith('ZZ', expect.anything()), { timeout: 700 });
+  });
+
+  it('should offer recent picks when the box is focused and empty, and keep favorites', async () => {
+    api.searchSymbol.mockResolvedValue([{ symbol: 'TSLA', name: 'Tesla Inc' }]);
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+
+    render(<App />);
+    const input = screen.getByRole('combobox', { name: 'Search stocks' });
+    await userEvent.type(input, 'TSLA');
+    await userEvent.click(await screen.findByText(/Tesla Inc/, {}, { timeout: 700 }));
+
+    // Coming back to the (now empty) box offers the pick again
+    await userEvent.click(input);
+    const recent = screen.getByRole('region', { name: 'Recent searches' });
+    expect(within(recent).getByRole('button', { name: /TSLA — Tesla Inc/ })).toBeInTheDocument();
+
+    await userEvent.click(within(recent).getByRole('button', { name: 'Favorite TSLA' }));
+    const favorites = screen.getByRole('region', { name: 'Favorite searches' });
+    expect(within(favorites).getByRole('button', { name: 'Favorite TSLA' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.queryByRole('region', { name: 'Recent searches' })).not.toBeInTheDocument();
+    expect(JSON.parse(localStorage.getItem('searchHistory'))).toEqual({
+      recent: [{ symbol: 'TSLA', name: 'Tesla Inc' }],
+      favorites: [{ symbol: 'TSLA', name: 'Tesla Inc' }],
+    });
+
+    await userEvent.keyboard('{Escape}');
+    expect(screen.queryByRole('region', { name: 'Favorite searches' })).not.toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 23. PERFORMANCE DASHBOARD — list-wide stats and a heatmap from stockData
+// ===========================================================================
+describe('Performance dashboard', () => {
+  it('should summarize the day across the list and fill in as quotes arrive', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL', 'MSFT', 'TSLA']));
+    let resolveTsla;
+    api.fetchQuote.mockImplementation((symbol) => {
+      if (symbol === 'AAPL') return Promise.resolve({ price: 228.87, change: 2.45, changePct: 1.08, currency: 'USD' });
+      if (symbol === 'MSFT') return Promise.resolve({ price: 415.1, change: -2.5, changePct: -0.6, currency: 'USD' });
+      return new Promise((resolve) => (resolveTsla = resolve));
+    });
+
+    render(<App />);
+    const dashboard = await screen.findByRole('region', { name: 'Watchlist performance' });
+    const heatmap = within(dashboard).getByRole('list', { name: 'Heatmap' });
+    await waitFor(() => expect(within(heatmap).getByRole('button', { name: 'AAPL +1.08%' })).toHaveClass('positive'));
+    expect(within(heatmap).getByRole('button', { name: 'TSLA no quote yet' })).toHaveClass('unpriced');
+    expect(within(dashboard).getByText('+0.24%')).toBeInTheDocument();
+    expect(within(dashboard).getByText('1 symbol still loading.')).toBeInTheDocument();
+
+    await act(async () => resolveTsla({ price: 404.6, change: 12.4, changePct: 3.3, currency: 'USD' }));
+    expect(within(heatmap).getByRole('button', { name: 'TSLA +3.30%' })).toHaveClass('positive', 'strong');
+    const gainers = within(dashboard).getByRole('list', { name: 'Top gainers' });
+    expect(within(gainers).getAllByRole('listitem').map((li) => li.textContent)).toEqual(['TSLA +3.30%', 'AAPL +1.08%']);
+    expect(within(within(dashboard).getByRole('list', { name: 'Top losers' })).getByText('MSFT')).toBeInTheDocument();
+  });
+});
+
+// ===========================================================================
+// 24. COMPARISON CHART — several symbols rebased to percent return
+// ===========================================================================
+describe('Comparison chart', () => {
+  const series = (closes) => closes.map((close, i) => ({ date: '2025-01-0' + (i + 1), close }));
+
+  it('should chart the picked symbols from 0% and read out returns at the crosshair', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL', 'MSFT', 'NVDA']));
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+    api.fetchHistories.mockImplementation(async (symbols) => ({
+      series: Object.fromEntries(symbols.map((s, i) => [s, series([100, 100 + 10 * (i + 1), 100 + 5 * (i + 1)])])),
+      errors: {},
+    }));
+    api.searchSymbol.mockResolvedValue([{ symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust' }]);
+
+    render(<App />);
+    await userEvent.click(screen.getByRole('button', { name: 'Compare' }));
+
+    const dialog = screen.getByRole('dialog', { name: 'Compare returns' });
+    expect(window.location.hash).toBe('#/compare?symbols=AAPL,MSFT,NVDA&range=3M');
+    const chart = await within(dialog).findByRole('img', { name: /Percent return of AAPL, MSFT, NVDA/ });
+    expect(api.fetchHistories).toHaveBeenCalledWith(['AAPL', 'MSFT', 'NVDA'], 'daily', expect.anything());
+    const returns = () =>
+      within(within(dialog).getByRole('list', { name: 'Returns' }))
+        .getAllByRole('listitem')
+        .map((li) => li.textContent);
+    // Without a crosshair the readout shows the whole range
+    expect(returns()).toEqual(['AAPL +5.00%', 'MSFT +10.00%', 'NVDA +15.00%']);
+
+    // Arrow keys move the crosshair one date at a time
+    chart.focus();
+    await userEvent.keyboard('{ArrowLeft}');
+    expect(within(dialog).getByText('On Jan 2, 2025')).toBeInTheDocument();
+    expect(returns()).toEqual(['AAPL +10.00%', 'MSFT +20.00%', 'NVDA +30.00%']);
+
+    // Drop a symbol, add one by search, and switch to a weekly range
+    await userEvent.click(within(dialog).getByRole('button', { name: 'MSFT', pressed: true }));
+    // Only an exact ticker is added, never the closest guess
+    const addBox = within(dialog).getByRole('textbox', { name: 'Add a symbol to compare' });
+    await userEvent.type(addBox, 'sp{Enter}');
+    expect(await within(dialog).findByText('No symbol "SP". Enter the exact ticker.')).toBeInTheDocument();
+    await userEvent.clear(addBox);
+    await userEvent.type(addBox, 'spy{Enter}');
+    await waitFor(() => expect(window.location.hash).toBe('#/compare?symbols=AAPL,NVDA,SPY&range=3M'));
+    await userEvent.click(within(dialog).getByRole('button', { name: '1Y' }));
+    expect(api.fetchHistories).toHaveBeenLastCalledWith(['AAPL', 'NVDA', 'SPY'], 'weekly', expect.anything());
+    expect(await within(dialog).findByRole('img', { name: /Percent return of AAPL, NVDA, SPY/ })).toBeInTheDocument();
+  });
+
+  it('should offer Compare for a one-symbol list, without the sort controls', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 150, change: 1, changePct: 0.67, currency: 'USD' });
+    api.fetchHistories.mockResolvedValue({ series: {}, errors: {} });
+
+    render(<App />);
+    expect(screen.queryByLabelText('Sort by')).not.toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Compare' }));
+    expect(window.location.hash).toBe('#/compare?symbols=AAPL&range=3M');
+  });
+});
+
+// ===========================================================================
+// 25. TECHNICAL INDICATORS — card badges from daily history, chart overlays
+// ===========================================================================
+describe('Technical indicators', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // 60 sessions climbing a dollar a day, 100 → 159
+  const climbing = Array.from({ length: 60 }, (_, i) => ({
+    date: new Date(Date.UTC(2024, 11, 1) + i * DAY_MS).toISOString().slice(0, 10),
+    close: 100 + i,
+  }));
+
+  it('should badge cards with the picked indicators and draw overlays on the chart', async () => {
+    localStorage.setItem('watchlist', JSON.stringify(['AAPL']));
+    api.fetchQuote.mockResolvedValue({ price: 160, change: 1, changePct: 0.63, currency: 'USD' });
+    api.fetchHistory.mockResolvedValue(climbing);
+
+    render(<App />);
+    const badges = () =>
+      within(screen.getByRole('list', { name: 'AAPL indicators' }))
+        .getAllByRole('listitem')
+        .map((li) => li.textContent);
+
+    // None by default, so no history is fetched for the cards
+    await screen.findByText('Show chart');
+    expect(screen.queryByRole('list', { name: 'AAPL indicators' })).not.toBeInTheDocument();
+    expect(api.fetchHistory).not.toHaveBeenCalled();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Settings' }));
+    await userEvent.click(screen.getByRole('checkbox', { name: '50-day SMA' }));
+    await userEvent.click(screen.getByRole('checkbox', { name: 'RSI (14)' }));
+    await screen.findByRole('list', { name: 'AAPL indicators' });
+    expect(api.fetchHistory).toHaveBeenCalledWith('AAPL', 'daily', expect.anything());
+    expect(badges()).toEqual(['Above 50-day SMA', 'RSI 100 overbought']);
+
+    await userEvent.click(screen.getByRole('checkbox', { name: 'RSI (14)' }));
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Bollinger Bands (20, 2)' }));
+    expect(badges()).toEqual(['Above 50-day SMA', 'Inside Bollinger bands']);
+    expect(JSON.parse(localStorage.getItem('displaySettings')).indicators).toEqual(['sma50', 'bollinger']);
+
+    await userEvent.click(screen.getByText('Show chart'));
+    await screen.findByRole('img', { name: /AAPL price/ });
+    await userEvent.click(screen.getByRole('button', { name: 'SMA 50' }));
+    expect(screen.getByRole('img', { name: /AAPL price .* with SMA 50$/ })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'SMA 50' })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
@@ -0,0 +1,155 @@
+import { useState, useEffect, useRef, useId } from 'react';
+import { fetchOverview, fetchNews } from './api';
+import { formatMoney, formatNumber, formatPercent } from './format';
+
+// Fundamentals can be missing (null); they show as a dash
+function orDash(value, format) {
+  return value === null ? '—' : format(value);
+}
+
+function formatPublished(publishedAt) {
+  const date = new Date(publishedAt);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// "Somewhat-Bullish" -> "somewhat-bullish", used as a CSS modifier
+function sentimentClass(label) {
+  return 'sentiment ' + (label || 'neutral').toLowerCase();
+}
+
+// ---------------------------------------------------------------------------
+// Detail panel for one symbol: fundamentals from fetchOverview plus recent
+// headlines from fetchNews. Both load independently, so a fund with no
+// overview still shows its news. Opened from a card or a #/symbol/ link.
+// ---------------------------------------------------------------------------
+function CompanyDetail({ symbol, quote, locale = 'auto', inWatchlist, canAdd, onAdd, onClose }) {
+  const [overview, setOverview] = useState(null);
+  const [overviewError, setOverviewError] = useState(null);
+  const [news, setNews] = useState(null);
+  const [newsError, setNewsError] = useState(null);
+  const closeRef = useRef(null);
+  const titleId = useId();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setOverview(null);
+    setOverviewError(null);
+    setNews(null);
+    setNewsError(null);
+
+    fetchOverview(symbol, controller.signal)
+      .then(setOverview)
+      .catch((err) => {
+        if (err.name !== 'AbortError') setOverviewError(err.message);
+      });
+    fetchNews(symbol, controller.signal)
+      .then(setNews)
+      .catch((err) => {
+        if (err.name !== 'AbortError') setNewsError(err.message);
+      });
+
+    return () => controller.abort();
+  }, [symbol]);
+
+  // Focus the panel on open and close it with Escape
+  useEffect(() => {
+    closeRef.current.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const hasQuote = quote && quote.price !== undefined;
+  const isPositive = hasQuote && quote.change >= 0;
+  const quoteCurrency = (hasQuote && quote.currency) || 'USD';
+  const overviewCurrency = (overview && overview.currency) || 'USD';
+
+  return (
+    <div className="detail-backdrop" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="company-detail" role="dialog" aria-modal="true" aria-labelledby={titleId}>
+        <div className="card-header">
+          <h2 id={titleId}>
+            {symbol}
+            {overview && <span className="detail-name"> {overview.name}</span>}
+          </h2>
+          <button ref={closeRef} className="remove-btn" aria-label="Close details" onClick={onClose}>
+            &times;
+          </button>
+        </div>
+
+        {hasQuote && (
+          <p className="detail-quote">
+            {formatMoney(quote.price, quoteCurrency, { locale })}{' '}
+            <span className={'change ' + (isPositive ? 'positive' : 'negative')}>
+              {formatMoney(quote.change, quoteCurrency, { locale, signed: true })} (
+              {formatPercent(quote.changePct, { locale, signed: true })})
+            </span>
+          </p>
+        )}
+
+        {!inWatchlist && (
+          <button className="detail-add-btn" onClick={onAdd} disabled={!canAdd}>
+            {canAdd ? 'Add to watchlist' : 'Watchlist full'}
+          </button>
+        )}
+
+        <section aria-label="Fundamentals">
+          {!overview && !overviewError && <p className="loading">Loading fundamentals...</p>}
+          {overviewError && <p className="error">{overviewError}</p>}
+          {overview && (
+            <>
+              <dl className="fundamentals">
+                <dt>Sector</dt>
+                <dd>{overview.sector || '—'}</dd>
+                <dt>Industry</dt>
+                <dd>{overview.industry || '—'}</dd>
+                <dt>Market cap</dt>
+                <dd>
+                  {orDash(overview.marketCap, (v) => formatMoney(v, overviewCurrency, { locale, compact: true }))}
+                </dd>
+                <dt>P/E ratio</dt>
+                <dd>{orDash(overview.peRatio, (v) => formatNumber(v, { locale }))}</dd>
+                <dt>52-week range</dt>
+                <dd>
+                  {orDash(overview.week52Low, (v) => formatNumber(v, { locale }))} –{' '}
+                  {orDash(overview.week52High, (v) => formatNumber(v, { locale }))}
+                </dd>
+                <dt>Dividend yield</dt>
+                <dd>
+                  {overview.dividendYield ? formatPercent(overview.dividendYield * 100, { locale }) : '—'}
+                </dd>
+              </dl>
+              {overview.description && <p className="detail-description">{overview.description}</p>}
+            </>
+          )}
+        </section>
+
+        <section aria-label="News">
+          <h3>News</h3>
+          {!news && !newsError && <p className="loading">Loading news...</p>}
+          {newsError && <p className="error">{newsError}</p>}
+          {news && news.length === 0 && <p className="search-status">No recent news.</p>}
+          {news && news.length > 0 && (
+            <ul className="news-list">
+              {news.map((item) => (
+                <li key={item.url}>
+                  <a href={item.url} target="_blank" rel="noopener noreferrer">
+                    {item.title}
+                  </a>
+                  <span className="news-meta">
+                    {item.source} · {formatPublished(item.publishedAt)}{' '}
+                    <span className={sentimentClass(item.sentiment)}>{item.sentiment}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default CompanyDetail;
@@ -0,0 +1,266 @@
+import { useState, useEffect, useRef, useId } from 'react';
+import { fetchHistories, searchLocalSymbols, searchSymbol } from './api';
+import { buildComparison, findCompareRange, COMPARE_RANGES, MAX_COMPARE_SYMBOLS } from './comparison';
+import { formatDate, formatPercent } from './format';
+
+// SVG coordinate space — stretched to the panel's width via CSS
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 240;
+const CHART_PADDING = 8;
+
+// ---------------------------------------------------------------------------
+// One line per symbol, all starting at 0%. Hovering (or arrowing through
+// the focused chart) moves a crosshair, and the readout below shows every
+// symbol's return on that date; otherwise it shows the whole range.
+// ---------------------------------------------------------------------------
+function CompareChart({ comparison, locale }) {
+  const { dates, lines } = comparison;
+  const [cursor, setCursor] = useState(null); // index into dates, null = not hovering
+  const readoutId = useId();
+
+  const values = lines.flatMap((line) => line.returns);
+  const min = Math.min(0, ...values);
+  const max = Math.max(0, ...values);
+  const spread = max - min || 1;
+  const x = (i) => (i / (dates.length - 1)) * CHART_WIDTH;
+  const y = (value) => CHART_HEIGHT - CHART_PADDING - ((value - min) / spread) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  const index = cursor === null ? dates.length - 1 : Math.min(cursor, dates.length - 1);
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    if (rect.width === 0) return;
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    setCursor(Math.round(ratio * (dates.length - 1)));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const step = e.key === 'ArrowRight' ? 1 : -1;
+    setCursor(Math.min(Math.max(index + step, 0), dates.length - 1));
+  };
+
+  const first = formatDate(dates[0], { locale });
+  const last = formatDate(dates[dates.length - 1], { locale });
+
+  return (
+    <>
+      <svg
+        className="compare-chart"
+        viewBox={'0 0 ' + CHART_WIDTH + ' ' + CHART_HEIGHT}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={'Percent return of ' + lines.map((l) => l.symbol).join(', ') + ' from ' + first + ' to ' + last}
+        aria-describedby={readoutId}
+        tabIndex={0}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setCursor(null)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setCursor(null)}
+      >
+        <line className="compare-baseline" x1={0} x2={CHART_WIDTH} y1={y(0)} y2={y(0)} vectorEffect="non-scaling-stroke" />
+        {lines.map((line, i) => (
+          <polyline
+            key={line.symbol}
+            className={'compare-line series-' + (i + 1)}
+            points={line.returns.map((value, j) => x(j).toFixed(1) + ',' + y(value).toFixed(1)).join(' ')}
+            fill="none"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        {cursor !== null && (
+          <line
+            className="compare-crosshair"
+            x1={x(index)}
+            x2={x(index)}
+            y1={0}
+            y2={CHART_HEIGHT}
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+
+      <div id={readoutId} className="compare-readout" aria-live="polite">
+        <span className="label">
+          {cursor === null ? first + ' – ' + last : 'On ' + formatDate(dates[index], { locale })}
+        </span>
+        <ul aria-label="Returns">
+          {lines.map((line, i) => {
+            const value = line.returns[index];
+            return (
+              <li key={line.symbol}>
+                <span className={'swatch series-' + (i + 1)} aria-hidden="true" />
+                {line.symbol}{' '}
+                <span className={'change ' + (value >= 0 ? 'positive' : 'negative')}>
+                  {formatPercent(value, { locale, signed: true })}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </>
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Comparison panel, opened from a #/compare link. symbols and range live in
+// the URL; onChange(symbols, range) asks for a new one. Symbols come from
+// the watchlist chips or the search box, up to MAX_COMPARE_SYMBOLS.
+// ---------------------------------------------------------------------------
+function ComparisonView({ symbols, range: rangeLabel, watchlist, locale = 'auto', onChange, onClose }) {
+  const range = findCompareRange(rangeLabel);
+  const [result, setResult] = useState(null); // { series, errors } from fetchHistories
+  const [loading, setLoading] = useState(false);
+  const [query, setQuery] = useState('');
+  const [searchError, setSearchError] = useState(null);
+  const closeRef = useRef(null);
+  const titleId = useId();
+  const symbolsKey = symbols.join(',');
+
+  useEffect(() => {
+    if (symbols.length === 0) {
+      setResult(null);
+      return;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    fetchHistories(symbols, range.interval, controller.signal).then((data) => {
+      if (controller.signal.aborted) return;
+      setResult(data);
+      setLoading(false);
+    });
+    return () => controller.abort();
+    // symbols by value — every route change makes a new array
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [symbolsKey, range.interval]);
+
+  // Focus the panel on open and close it with Escape
+  useEffect(() => {
+    closeRef.current.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const full = symbols.length >= MAX_COMPARE_SYMBOLS;
+
+  const toggle = (symbol) => {
+    const next = symbols.includes(symbol) ? symbols.filter((s) => s !== symbol) : [...symbols, symbol];
+    onChange(next, range.label);
+  };
+
+  // Only an exact ticker is added — a fuzzy best guess could chart the
+  // wrong company. The local directory is checked first, the remote search
+  // only when it doesn't list the symbol.
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const keyword = query.trim();
+    if (!keyword || full) return;
+    setSearchError(null);
+    const exact = (results) => results.find((r) => r.symbol.toUpperCase() === keyword.toUpperCase());
+    try {
+      const match = exact(searchLocalSymbols(keyword)) || exact(await searchSymbol(keyword));
+      if (!match) {
+        setSearchError('No symbol "' + keyword.toUpperCase() + '". Enter the exact ticker.');
+        return;
+      }
+      if (!symbols.includes(match.symbol)) onChange([...symbols, match.symbol], range.label);
+      setQuery('');
+    } catch (err) {
+      if (err.name !== 'AbortError') setSearchError(err.message);
+    }
+  };
+
+  const charted = result ? symbols.filter((symbol) => result.series[symbol]) : [];
+  const failed = result
+    ? symbols.filter((symbol) => result.errors[symbol] && result.errors[symbol].name !== 'AbortError')
+    : [];
+  const comparison = charted.length > 0 ? buildComparison(result.series, charted, range.days) : null;
+
+  let body;
+  if (symbols.length === 0) {
+    body = <p className="loading">Pick a symbol to compare.</p>;
+  } else if (loading && !result) {
+    body = <p className="loading">Loading chart...</p>;
+  } else if (!comparison || comparison.dates.length < 2) {
+    body = <p className="loading">No overlapping data for this range.</p>;
+  } else {
+    body = <CompareChart comparison={comparison} locale={locale} />;
+  }
+
+  return (
+    <div className="detail-backdrop" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="comparison-view" role="dialog" aria-modal="true" aria-labelledby={titleId}>
+        <div className="card-header">
+          <h2 id={titleId}>Compare returns</h2>
+          <button ref={closeRef} className="remove-btn" aria-label="Close comparison" onClick={onClose}>
+            &times;
+          </button>
+        </div>
+
+        <div className="compare-picker" role="group" aria-label="Symbols to compare">
+          {[...watchlist, ...symbols.filter((s) => !watchlist.includes(s))].map((symbol) => {
+            const selected = symbols.includes(symbol);
+            return (
+              <button
+                key={symbol}
+                className={'chip' + (selected ? ' active' : '')}
+                aria-pressed={selected}
+                disabled={!selected && full}
+                onClick={() => toggle(symbol)}
+              >
+                {symbol}
+              </button>
+            );
+          })}
+        </div>
+
+        <form className="compare-search" onSubmit={handleAdd}>
+          <input
+            type="text"
+            aria-label="Add a symbol to compare"
+            placeholder={full ? 'Up to ' + MAX_COMPARE_SYMBOLS + ' symbols' : 'Add a symbol (e.g. SPY)'}
+            value={query}
+            disabled={full}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button type="submit" disabled={full || !query.trim()}>
+            Add
+          </button>
+        </form>
+        {searchError && <p className="search-error">{searchError}</p>}
+
+        <div className="range-toggles" role="group" aria-label="Comparison range">
+          {COMPARE_RANGES.map((r) => (
+            <button
+              key={r.label}
+              className={'range-btn' + (r.label === range.label ? ' active' : '')}
+              aria-pressed={r.label === range.label}
+              onClick={() => onChange(symbols, r.label)}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+
+        {body}
+
+        {failed.length > 0 && (
+          <ul className="compare-errors">
+            {failed.map((symbol) => (
+              <li key={symbol} className="error">
+                {symbol}: {result.errors[symbol].message}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ComparisonView;
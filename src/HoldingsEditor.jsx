@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { createLotId } from './portfolio';
+import { formatMoney } from './format';
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Purchase prices are in the symbol's listing currency
+function HoldingsEditor({ symbol, lots, currency = 'USD', locale = 'auto', onAddLot, onRemoveLot }) {
+  const [shares, setShares] = useState('');
+  const [price, setPrice] = useState('');
+  const [date, setDate] = useState(today);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const sharesNum = parseFloat(shares);
+    const priceNum = parseFloat(price);
+
+    // Guard: both numbers must be positive
+    if (!(sharesNum > 0) || !(priceNum > 0)) {
+      setError('Enter a positive number of shares and purchase price.');
+      return;
+    }
+
+    onAddLot({ id: createLotId(), shares: sharesNum, price: priceNum, date });
+    setShares('');
+    setPrice('');
+    setError(null);
+  };
+
+  return (
+    <div className="holdings-editor">
+      {lots.length > 0 && (
+        <ul className="lots">
+          {lots.map((lot) => (
+            <li key={lot.id}>
+              {lot.shares} sh @ {formatMoney(lot.price, currency, { locale })} on {lot.date}
+              <button
+                className="remove-btn"
+                aria-label={'Remove lot bought ' + lot.date}
+                onClick={() => onRemoveLot(lot.id)}
+              >
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="lot-form" onSubmit={handleSubmit}>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder="Shares"
+          aria-label={symbol + ' shares'}
+          value={shares}
+          onChange={(e) => setShares(e.target.value)}
+        />
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder={'Price paid (' + currency + ')'}
+          aria-label={symbol + ' purchase price'}
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+        />
+        <input
+          type="date"
+          aria-label={symbol + ' purchase date'}
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+        />
+        <button type="submit">Add lot</button>
+      </form>
+      {error && <p className="error">{error}</p>}
+    </div>
+  );
+}
+
+export default HoldingsEditor;
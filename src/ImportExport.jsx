@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { toCSV, toJSON, downloadFile, parseImport, planImport } from './watchlistTransfer';
+import { shareUrl } from './routes';
+
+const STATUS_LABELS = {
+  add: 'Will be added',
+  duplicate: 'Already in list',
+  invalid: 'Unknown symbol',
+  limit: 'List is full',
+  error: 'Could not check',
+};
+
+// File-name friendly version of the list name
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'watchlist';
+}
+
+function ImportExport({ listName, watchlist, stockData, maxStocks, onImport }) {
+  // plan: null, or the preview rows from planImport awaiting confirmation
+  const [plan, setPlan] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState(null);
+  // shared: { url, copied } for the last share link made, or null
+  const [shared, setShared] = useState(null);
+
+  const handleExport = (format) => {
+    const base = slugify(listName);
+    if (format === 'csv') {
+      downloadFile(base + '.csv', toCSV(watchlist, stockData), 'text/csv');
+    } else {
+      downloadFile(base + '.json', toJSON(listName, watchlist, stockData), 'application/json');
+    }
+  };
+
+  // Copy when the clipboard is available; otherwise show the link to copy by hand
+  const handleShare = async () => {
+    const url = shareUrl(listName, watchlist);
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(url);
+      copied = true;
+    } catch {
+      // No clipboard access (insecure context, permission denied)
+    }
+    setShared({ url, copied });
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow picking the same file again
+    if (!file) return;
+
+    setError(null);
+    setPlan(null);
+    setChecking(true);
+    try {
+      const symbols = parseImport(await file.text());
+      setPlan(await planImport(symbols, watchlist, maxStocks));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleConfirm = () => {
+    onImport(plan.filter((row) => row.status === 'add').map((row) => row.symbol));
+    setPlan(null);
+  };
+
+  const addCount = plan ? plan.filter((row) => row.status === 'add').length : 0;
+
+  return (
+    <div className="import-export">
+      <div className="transfer-actions">
+        <button onClick={() => handleExport('csv')} disabled={watchlist.length === 0}>
+          Export CSV
+        </button>
+        <button onClick={() => handleExport('json')} disabled={watchlist.length === 0}>
+          Export JSON
+        </button>
+        <button onClick={handleShare} disabled={watchlist.length === 0}>
+          Share link
+        </button>
+        <label className="import-btn">
+          Import…
+          <input
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFile}
+            hidden
+          />
+        </label>
+      </div>
+
+      {shared && (
+        <p className="share-link" role="status">
+          {shared.copied ? 'Link copied to clipboard: ' : 'Copy this link: '}
+          <input type="text" readOnly value={shared.url} aria-label="Share link" onFocus={(e) => e.target.select()} />
+        </p>
+      )}
+
+      {checking && <p className="search-status">Checking symbols...</p>}
+      {error && <p className="search-error">{error}</p>}
+
+      {plan && (
+        <div className="import-preview">
+          <ul>
+            {plan.map((row) => (
+              <li key={row.symbol} className={'import-row ' + row.status}>
+                <strong>{row.symbol}</strong>
+                <span>{row.message || STATUS_LABELS[row.status]}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="transfer-actions">
+            <button onClick={handleConfirm} disabled={addCount === 0}>
+              Add {addCount} stock{addCount === 1 ? '' : 's'}
+            </button>
+            <button onClick={() => setPlan(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportExport;
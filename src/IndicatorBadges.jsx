@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { fetchHistory } from './api';
+import { indicatorSignals } from './indicators';
+
+// ---------------------------------------------------------------------------
+// Badges for the indicators picked in the settings panel ("Above 50-day
+// SMA", "RSI 72 overbought"), computed from the symbol's daily history and
+// compared against the live price. The history is one cached call per
+// symbol; if it fails the badges are simply left out.
+// ---------------------------------------------------------------------------
+function IndicatorBadges({ symbol, price, selected }) {
+  const [closes, setCloses] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const load = async () => {
+      try {
+        const points = await fetchHistory(symbol, 'daily', controller.signal);
+        setCloses(points.map((p) => p.close));
+      } catch {
+        if (!controller.signal.aborted) setCloses(null);
+      }
+    };
+    load();
+
+    return () => controller.abort();
+  }, [symbol]);
+
+  if (!closes) return null;
+  const signals = indicatorSignals(closes, selected, price);
+  if (signals.length === 0) return null;
+
+  return (
+    <ul className="indicator-badges" aria-label={symbol + ' indicators'}>
+      {signals.map((signal) => (
+        <li key={signal.id} className={'indicator-badge ' + signal.tone}>
+          {signal.label}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default IndicatorBadges;
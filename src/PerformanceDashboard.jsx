@@ -0,0 +1,98 @@
+import { summarizePerformance, heatStrength } from './performance';
+import { formatPercent } from './format';
+
+function direction(changePct) {
+  if (changePct > 0) return 'positive';
+  if (changePct < 0) return 'negative';
+  return 'flat';
+}
+
+function MoverList({ title, moves, locale }) {
+  return (
+    <div className="movers">
+      <span className="label">{title}</span>
+      {moves.length === 0 ? (
+        <p className="movers-empty">None today</p>
+      ) : (
+        <ol aria-label={title}>
+          {moves.map((move) => (
+            <li key={move.symbol}>
+              <strong>{move.symbol}</strong>{' '}
+              <span className={'change ' + direction(move.changePct)}>
+                {formatPercent(move.changePct, { locale, signed: true })}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Today's moves across the active watchlist: average, best and worst, the
+// top gainers and losers, and a heatmap with one equal-sized tile per
+// symbol coloured by its % change. Derived from stockData on every render,
+// so it fills in as quotes arrive. onSelect(symbol) opens a tile's details.
+// ---------------------------------------------------------------------------
+function PerformanceDashboard({ watchlist, stockData, locale = 'auto', onSelect }) {
+  const stats = summarizePerformance(watchlist, stockData);
+  if (stats.priced === 0) return null;
+
+  const percent = (value) => formatPercent(value, { locale, signed: true });
+
+  return (
+    <section className="performance-dashboard" aria-label="Watchlist performance">
+      <div className="performance-stats">
+        <div>
+          <span className="label">Average change</span>
+          <span className={'change ' + direction(stats.average)}>{percent(stats.average)}</span>
+        </div>
+        <div>
+          <span className="label">Best</span>
+          {stats.best.symbol}{' '}
+          <span className={'change ' + direction(stats.best.changePct)}>{percent(stats.best.changePct)}</span>
+        </div>
+        <div>
+          <span className="label">Worst</span>
+          {stats.worst.symbol}{' '}
+          <span className={'change ' + direction(stats.worst.changePct)}>{percent(stats.worst.changePct)}</span>
+        </div>
+        {stats.unpriced > 0 && (
+          <p className="portfolio-note">
+            {stats.unpriced} symbol{stats.unpriced === 1 ? '' : 's'} still loading.
+          </p>
+        )}
+      </div>
+
+      <div className="performance-movers">
+        <MoverList title="Top gainers" moves={stats.gainers} locale={locale} />
+        <MoverList title="Top losers" moves={stats.losers} locale={locale} />
+      </div>
+
+      <ul className="heatmap" aria-label="Heatmap">
+        {watchlist.map((symbol) => {
+          const changePct = stockData[symbol]?.changePct;
+          const priced = Number.isFinite(changePct);
+          const strength = heatStrength(changePct);
+          const label = priced ? percent(changePct) : '—';
+          return (
+            <li key={symbol}>
+              <button
+                className={'heat-tile ' + (priced ? direction(changePct) : 'unpriced') + (strength > 0.6 ? ' strong' : '')}
+                style={{ '--heat': strength }}
+                aria-label={symbol + ' ' + (priced ? label : 'no quote yet')}
+                onClick={() => onSelect(symbol)}
+              >
+                <strong>{symbol}</strong>
+                <span>{label}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+export default PerformanceDashboard;
@@ -0,0 +1,50 @@
+import { summarizePortfolio } from './portfolio';
+import { convertAmount } from './currency';
+import { formatMoney, formatPercent } from './format';
+
+// Totals for the positions held in the active watchlist. Renders nothing
+// when none of its symbols has any lots. Totals are in the base currency;
+// without one, in the currency of the first priced position, leaving out
+// positions in any other currency.
+function PortfolioSummary({ watchlist, holdings, stockData, baseCurrency = 'none', rates = {}, locale = 'auto' }) {
+  const firstPriced = watchlist.find((symbol) => holdings[symbol]?.length > 0 && stockData[symbol]?.currency);
+  const currency = baseCurrency !== 'none' ? baseCurrency : stockData[firstPriced]?.currency || 'USD';
+  const convert = (value, from) => convertAmount(value, from, currency, rates);
+  const totals = summarizePortfolio(watchlist, holdings, stockData, convert);
+  if (totals.positions === 0) return null;
+
+  const isPositive = totals.gain >= 0;
+
+  return (
+    <div className="portfolio-summary">
+      <div>
+        <span className="label">Market value</span>
+        {formatMoney(totals.marketValue, currency, { locale })}
+      </div>
+      <div>
+        <span className="label">Cost basis</span>
+        {formatMoney(totals.costBasis, currency, { locale })}
+      </div>
+      <div>
+        <span className="label">Unrealized P&amp;L</span>
+        <span className={'change ' + (isPositive ? 'positive' : 'negative')}>
+          {formatMoney(totals.gain, currency, { locale, signed: true })} (
+          {formatPercent(totals.gainPct, { locale, signed: true })})
+        </span>
+      </div>
+      {totals.unpriced > 0 && (
+        <p className="portfolio-note">
+          Excludes {totals.unpriced} position{totals.unpriced === 1 ? '' : 's'} still waiting for a price.
+        </p>
+      )}
+      {totals.unconverted > 0 && (
+        <p className="portfolio-note">
+          Excludes {totals.unconverted} position{totals.unconverted === 1 ? '' : 's'} in another currency
+          {baseCurrency === 'none' ? ' — pick a base currency to include them.' : ' until exchange rates load.'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PortfolioSummary;
@@ -1,15 +1,83 @@
-import { useState, useRef, useEffect } from 'react';
-import { searchSymbol } from './api';
+import { useState, useRef, useEffect, useId } from 'react';
+import { searchSymbol, searchLocalSymbols, loadSymbolDirectory } from './api';
 
-function SearchBar({ onAdd, watchlist }) {
+// Asset-type chips, keyed by the type names Alpha Vantage reports
+const TYPE_FILTERS = [
+  { value: 'all', label: 'All types' },
+  { value: 'Equity', label: 'Equity' },
+  { value: 'ETF', label: 'ETF' },
+  { value: 'Mutual Fund', label: 'Fund' },
+];
+
+// Always offered as a region chip, so foreign listings are one click away
+// from being hidden even before a search returns any
+const HOME_REGION = 'United States';
+
+// Most recent picks kept in the search history
+const MAX_RECENT = 8;
+
+function matchesFilters(result, filters) {
+  return (
+    (filters.type === 'all' || result.type === filters.type) &&
+    (filters.region === 'all' || result.region === filters.region)
+  );
+}
+
+// One section of the history panel: pick a symbol again, or star it
+function HistoryList({ title, entries, favorites, onPick, onToggleFavorite }) {
+  return (
+    <section aria-label={title}>
+      <span className="search-history-title">{title}</span>
+      <ul>
+        {entries.map((entry) => {
+          const isFavorite = favorites.some((f) => f.symbol === entry.symbol);
+          return (
+            <li key={entry.symbol}>
+              <button className="history-pick" onClick={() => onPick(entry)}>
+                <strong>{entry.symbol}</strong>
+                {entry.name && ' — ' + entry.name}
+              </button>
+              <button
+                className={'history-star' + (isFavorite ? ' active' : '')}
+                aria-pressed={isFavorite}
+                aria-label={'Favorite ' + entry.symbol}
+                onClick={() => onToggleFavorite(entry)}
+              >
+                {isFavorite ? '★' : '☆'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Typing searches the local symbol directory straight away; only when it has
+// no match does the debounced remote search run. With the box empty and
+// focused, recent and favorite picks are offered instead. history is the
+// persisted { recent, favorites }, updated through onHistoryChange.
+// ---------------------------------------------------------------------------
+function SearchBar({ onAdd, watchlist, maxStocks, filters, onFiltersChange, history, onHistoryChange }) {
   const [input, setInput] = useState('');
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  // Combobox state: whether the listbox is shown, which option is highlighted
+  // (-1 = none), and an inline message for rejected picks (duplicate / full)
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [notice, setNotice] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+
+  const listboxId = useId();
+  const optionId = (index) => listboxId + '-option-' + index;
 
   // Refs for debounce timer and in-flight request cancellation
   const debounceTimer = useRef(null);
   const abortController = useRef(null);
+  const listRef = useRef(null);
 
   // Cleanup on unmount — prevents state updates on dead component
   useEffect(() => {
@@ -19,17 +87,45 @@ function SearchBar({ onAdd, watchlist }) {
     };
   }, []);
 
+  // Keep the highlighted option visible when arrowing through a long list
+  useEffect(() => {
+    const list = listRef.current;
+    const option = list && list.children[activeIndex];
+    if (!option) return;
+    if (option.offsetTop < list.scrollTop) {
+      list.scrollTop = option.offsetTop;
+    } else if (option.offsetTop + option.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = option.offsetTop + option.offsetHeight - list.clientHeight;
+    }
+  }, [activeIndex]);
+
   const handleChange = (e) => {
     const value = e.target.value;
     setInput(value);
     setError(null);
+    setNotice(null);
 
     // Clear the previous debounce timer every keystroke
     if (debounceTimer.current) clearTimeout(debounceTimer.current);
 
-    // If input is empty, just clear results — no API call needed
+    // If input is empty, just clear results — no API call needed. A search
+    // still in flight is cancelled so its results can't reopen the list.
     if (!value.trim()) {
+      if (abortController.current) abortController.current.abort();
+      setLoading(false);
       setResults([]);
+      setOpen(false);
+      return;
+    }
+
+    // A hit in the local directory answers at once, without spending a call
+    const local = searchLocalSymbols(value);
+    if (local.length > 0) {
+      if (abortController.current) abortController.current.abort();
+      setLoading(false);
+      setResults(local);
+      setActiveIndex(-1);
+      setOpen(true);
       return;
     }
 
@@ -44,6 +140,8 @@ function SearchBar({ onAdd, watchlist }) {
       try {
         const data = await searchSymbol(value, abortController.current.signal);
         setResults(data);
+        setActiveIndex(-1);
+        setOpen(true);
       } catch (err) {
         // AbortError means WE cancelled it (new input arrived) — not a real error
         if (err.name !== 'AbortError') {
@@ -56,40 +154,216 @@ function SearchBar({ onAdd, watchlist }) {
     }, 500);
   };
 
-  const handleSelect = (symbol) => {
-    // Guard: duplicate or limit
+  const handleSelect = ({ symbol, name }) => {
+    // Guard: duplicate or limit — explained inline, the list stays open
     if (watchlist.includes(symbol)) {
-      alert(symbol + ' is already in your watchlist.');
+      setNotice(symbol + ' is already in your watchlist.');
       return;
     }
-    if (watchlist.length >= 5) {
-      alert('Watchlist is full (max 5 stocks).');
+    if (watchlist.length >= maxStocks) {
+      setNotice('Watchlist is full (max ' + maxStocks + ' stocks).');
       return;
     }
     onAdd(symbol);
+    onHistoryChange({
+      ...history,
+      recent: [{ symbol, name: name || '' }, ...history.recent.filter((e) => e.symbol !== symbol)].slice(0, MAX_RECENT),
+    });
     setResults([]);
+    setOpen(false);
+    setActiveIndex(-1);
+    setNotice(null);
     setInput('');
   };
 
+  const toggleFavorite = (entry) => {
+    const isFavorite = history.favorites.some((f) => f.symbol === entry.symbol);
+    onHistoryChange({
+      ...history,
+      favorites: isFavorite
+        ? history.favorites.filter((f) => f.symbol !== entry.symbol)
+        : [...history.favorites, { symbol: entry.symbol, name: entry.name }],
+    });
+  };
+
+  const handleFocus = () => {
+    setHistoryOpen(true);
+    // The full directory is only worth its call once someone searches
+    loadSymbolDirectory();
+  };
+
+  // Focus moving to the history buttons still counts as inside
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setHistoryOpen(false);
+  };
+
+  const visibleResults = results.filter((r) => matchesFilters(r, filters));
+  const regions = [
+    ...new Set([
+      HOME_REGION,
+      ...(filters.region === 'all' ? [] : [filters.region]),
+      ...results.map((r) => r.region).filter(Boolean),
+    ]),
+  ];
+
+  const handleFilterChange = (key, value) => {
+    onFiltersChange({ ...filters, [key]: value });
+    setActiveIndex(-1);
+  };
+
+  // Arrow keys move through the options (wrapping), Enter adds the
+  // highlighted one, Escape closes the list without clearing the input.
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && showHistory) {
+      e.preventDefault();
+      setHistoryOpen(false);
+      return;
+    }
+    if (visibleResults.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setOpen(true);
+      setActiveIndex((prev) => {
+        if (!open || prev === -1) return step === 1 ? 0 : visibleResults.length - 1;
+        return (prev + step + visibleResults.length) % visibleResults.length;
+      });
+    } else if (e.key === 'Enter' && open && activeIndex >= 0) {
+      e.preventDefault();
+      handleSelect(visibleResults[activeIndex]);
+    } else if (e.key === 'Escape' && open) {
+      e.preventDefault();
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showFilters = open && results.length > 0;
+  const showList = showFilters && visibleResults.length > 0;
+  const hiddenCount = results.length - visibleResults.length;
+
+  const recent = history.recent.filter((e) => !history.favorites.some((f) => f.symbol === e.symbol));
+  const showHistory = historyOpen && !input.trim() && (history.favorites.length > 0 || recent.length > 0);
+
   return (
-    <div className="search-bar">
+    <div className="search-bar" onFocus={handleFocus} onBlur={handleBlur}>
       <input
         type="text"
+        role="combobox"
+        aria-label="Search stocks"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listboxId}
+        aria-activedescendant={showList && activeIndex >= 0 ? optionId(activeIndex) : undefined}
         placeholder="Search stocks (e.g. AAPL)"
         value={input}
         onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onClick={() => setHistoryOpen(true)}
       />
-      {loading && <p className="search-status">Searching...</p>}
-      {error && <p className="search-error">{error}</p>}
-      {results.length > 0 && (
-        <ul className="results-dropdown">
-          {results.map((r) => (
-            <li key={r.symbol} onClick={() => handleSelect(r.symbol)}>
-              <strong>{r.symbol}</strong> — {r.name}
+
+      {/* One polite live region, so screen readers hear loading, errors,
+          rejected picks and the result count as they change */}
+      <div className="search-messages" role="status" aria-live="polite">
+        {loading && <p className="search-status">Searching...</p>}
+        {error && <p className="search-error">{error}</p>}
+        {notice && <p className="search-notice">{notice}</p>}
+        {showList && (
+          <span className="sr-only">
+            {visibleResults.length} result{visibleResults.length === 1 ? '' : 's'} available
+            {hiddenCount > 0 && ', ' + hiddenCount + ' hidden by filters'}. Use up and down
+            arrows to choose, Enter to add.
+          </span>
+        )}
+        {showFilters && !showList && (
+          <p className="search-notice">No results match the filters ({hiddenCount} hidden).</p>
+        )}
+      </div>
+
+      {/* mouseDown would move focus off the input and close the panel
+          before the click lands */}
+      {showHistory && (
+        <div className="search-history" onMouseDown={(e) => e.preventDefault()}>
+          {history.favorites.length > 0 && (
+            <HistoryList
+              title="Favorite searches"
+              entries={history.favorites}
+              favorites={history.favorites}
+              onPick={handleSelect}
+              onToggleFavorite={toggleFavorite}
+            />
+          )}
+          {recent.length > 0 && (
+            <HistoryList
+              title="Recent searches"
+              entries={recent}
+              favorites={history.favorites}
+              onPick={handleSelect}
+              onToggleFavorite={toggleFavorite}
+            />
+          )}
+        </div>
+      )}
+
+      {showFilters && (
+        <div className="filter-chips">
+          <div role="group" aria-label="Filter by type">
+            {TYPE_FILTERS.map((t) => (
+              <button
+                key={t.value}
+                className={'chip' + (filters.type === t.value ? ' active' : '')}
+                aria-pressed={filters.type === t.value}
+                onClick={() => handleFilterChange('type', t.value)}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+          <div role="group" aria-label="Filter by region">
+            {['all', ...regions].map((region) => (
+              <button
+                key={region}
+                className={'chip' + (filters.region === region ? ' active' : '')}
+                aria-pressed={filters.region === region}
+                onClick={() => handleFilterChange('region', region)}
+              >
+                {region === 'all' ? 'All regions' : region}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <ul ref={listRef} id={listboxId} role="listbox" aria-label="Search results" className="results-dropdown" hidden={!showList}>
+        {showList &&
+          visibleResults.map((r, i) => (
+            <li
+              key={r.symbol}
+              id={optionId(i)}
+              role="option"
+              aria-selected={i === activeIndex}
+              className={i === activeIndex ? 'active' : ''}
+              onMouseEnter={() => setActiveIndex(i)}
+              onClick={() => handleSelect(r)}
+            >
+              <span className="result-main">
+                <strong>{r.symbol}</strong> — {r.name}
+              </span>
+              {r.type && (
+                <span className="result-meta">
+                  {r.type} · {r.exchange || r.region} · {r.currency}
+                  {r.marketOpen && ' · ' + r.marketOpen + '–' + r.marketClose + ' ' + r.timezone}
+                </span>
+              )}
+              {r.matchScore !== undefined && (
+                <span className="match-score" title="Match score">
+                  {Math.round(r.matchScore * 100)}%
+                </span>
+              )}
             </li>
           ))}
-        </ul>
-      )}
+      </ul>
     </div>
   );
 }
@@ -0,0 +1,131 @@
+import { useState, useId } from 'react';
+import { THEME_OPTIONS, DENSITY_OPTIONS, COLOR_SCHEME_OPTIONS } from './theme';
+import { LOCALE_OPTIONS } from './format';
+import { BASE_CURRENCIES } from './currency';
+import { INDICATOR_OPTIONS } from './indicators';
+
+// One radio button per option, under a legend
+function ChoiceGroup({ legend, name, options, value, onChange }) {
+  return (
+    <fieldset className="settings-group">
+      <legend>{legend}</legend>
+      {options.map((option) => (
+        <label key={option.value}>
+          <input
+            type="radio"
+            name={name}
+            value={option.value}
+            checked={value === option.value}
+            onChange={() => onChange(option.value)}
+          />
+          {option.label}
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+// One checkbox per option; value is the list of checked ones, kept in
+// option order
+function CheckGroup({ legend, options, value, onChange }) {
+  const toggle = (option) =>
+    onChange(
+      options
+        .map((o) => o.value)
+        .filter((v) => (v === option ? !value.includes(v) : value.includes(v)))
+    );
+
+  return (
+    <fieldset className="settings-group">
+      <legend>{legend}</legend>
+      {options.map((option) => (
+        <label key={option.value}>
+          <input
+            type="checkbox"
+            checked={value.includes(option.value)}
+            onChange={() => toggle(option.value)}
+          />
+          {option.label}
+        </label>
+      ))}
+    </fieldset>
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Display settings behind a "Settings" toggle. settings is the persisted
+// { theme, density, colorScheme, locale, baseCurrency, indicators };
+// onChange(patch) merges one changed field into it.
+// ---------------------------------------------------------------------------
+function SettingsPanel({ settings, onChange }) {
+  const [open, setOpen] = useState(false);
+  const id = useId();
+
+  return (
+    <>
+      <button
+        className="settings-toggle"
+        aria-expanded={open}
+        aria-controls={id}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        Settings
+      </button>
+      {open && (
+        <section id={id} className="settings-panel" aria-label="Settings">
+          <ChoiceGroup
+            legend="Theme"
+            name={id + '-theme'}
+            options={THEME_OPTIONS}
+            value={settings.theme}
+            onChange={(theme) => onChange({ theme })}
+          />
+          <ChoiceGroup
+            legend="Card density"
+            name={id + '-density'}
+            options={DENSITY_OPTIONS}
+            value={settings.density}
+            onChange={(density) => onChange({ density })}
+          />
+          <ChoiceGroup
+            legend="Up / down colors"
+            name={id + '-colors'}
+            options={COLOR_SCHEME_OPTIONS}
+            value={settings.colorScheme}
+            onChange={(colorScheme) => onChange({ colorScheme })}
+          />
+          <CheckGroup
+            legend="Card indicators"
+            options={INDICATOR_OPTIONS}
+            value={settings.indicators}
+            onChange={(indicators) => onChange({ indicators })}
+          />
+          <div className="settings-group">
+            <label>
+              Number format{' '}
+              <select value={settings.locale} onChange={(e) => onChange({ locale: e.target.value })}>
+                {LOCALE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Show prices in{' '}
+              <select value={settings.baseCurrency} onChange={(e) => onChange({ baseCurrency: e.target.value })}>
+                {BASE_CURRENCIES.map((currency) => (
+                  <option key={currency} value={currency}>
+                    {currency === 'none' ? 'Listing currency' : currency}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,44 @@
+// ---------------------------------------------------------------------------
+// Shown when the app is opened from a share link (#/share?...). Nothing is
+// imported until the recipient picks where the symbols should go.
+// ---------------------------------------------------------------------------
+function SharedListPrompt({ name, symbols, listName, watchlist, maxStocks, onAddToList, onSaveAsList, onDismiss }) {
+  const fresh = symbols.filter((symbol) => !watchlist.includes(symbol));
+  const addCount = Math.min(fresh.length, Math.max(0, maxStocks - watchlist.length));
+  const title = name || 'Shared watchlist';
+
+  return (
+    <div className="share-prompt" role="region" aria-label="Shared watchlist">
+      {symbols.length === 0 ? (
+        <p>This share link doesn't contain any valid symbols.</p>
+      ) : (
+        <>
+          <p>
+            Someone shared <strong>{title}</strong> with you: {symbols.join(', ')}
+          </p>
+          {addCount < fresh.length && (
+            <p className="limit-warning">
+              Only {addCount} of {fresh.length} new stock{fresh.length === 1 ? '' : 's'} fit in{' '}
+              {listName} (max {maxStocks}).
+            </p>
+          )}
+        </>
+      )}
+      <div className="transfer-actions">
+        {symbols.length > 0 && (
+          <>
+            <button onClick={() => onAddToList(fresh)} disabled={addCount === 0}>
+              Add {addCount} to {listName}
+            </button>
+            <button onClick={() => onSaveAsList(title, symbols.slice(0, maxStocks))}>
+              Save as new list
+            </button>
+          </>
+        )}
+        <button onClick={onDismiss}>Dismiss</button>
+      </div>
+    </div>
+  );
+}
+
+export default SharedListPrompt;
@@ -1,7 +1,57 @@
 import { useState, useEffect, useRef } from 'react';
+import StockChart from './StockChart';
+import HoldingsEditor from './HoldingsEditor';
+import AlertEditor from './AlertEditor';
+import IndicatorBadges from './IndicatorBadges';
+import { summarizePosition } from './portfolio';
+import { convertAmount } from './currency';
+import { formatMoney, formatPercent, formatCompact, formatDay } from './format';
+import { marketDate } from './marketHours';
 
-function StockCard({ symbol, data, onRemove }) {
+// "42s" / "5m" / "3h" / "2d" — persisted quotes can be days old
+function formatAge(seconds) {
+  if (seconds < 60) return seconds + 's';
+  if (seconds < 3600) return Math.floor(seconds / 60) + 'm';
+  if (seconds < 86400) return Math.floor(seconds / 3600) + 'h';
+  return Math.floor(seconds / 86400) + 'd';
+}
+
+// Time alone for today's quotes, date and time for anything older
+function formatAsOf(timestamp) {
+  const date = new Date(timestamp);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+// Retrying won't help a typo'd symbol or a missing API key
+const PERMANENT_ERRORS = ['not-found', 'config'];
+
+function StockCard({
+  symbol,
+  data,
+  lots = [],
+  alertRules = [],
+  tag = '',
+  locale = 'auto',
+  baseCurrency = 'none',
+  rates = {},
+  indicators = [],
+  onRemove,
+  onRetry,
+  onShowDetails,
+  onAddLot,
+  onRemoveLot,
+  onAddAlert,
+  onRemoveAlert,
+  onRearmAlert,
+  onTagChange,
+}) {
   const [secondsAgo, setSecondsAgo] = useState(0);
+  const [showChart, setShowChart] = useState(false);
+  const [showHoldings, setShowHoldings] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [editingTag, setEditingTag] = useState(false);
+  const [tagDraft, setTagDraft] = useState(tag);
   const intervalRef = useRef(null);
 
   // Start/reset the "X seconds ago" counter whenever lastUpdated changes
@@ -24,14 +74,32 @@ function StockCard({ symbol, data, onRemove }) {
     };
   }, [data && data.lastUpdated]); // re-run only when lastUpdated changes
 
+  const handleTagSubmit = (e) => {
+    e.preventDefault();
+    onTagChange(tagDraft.trim());
+    setEditingTag(false);
+  };
+
   // --- Render states (mutually exclusive) ---
 
-  // 1. Loading (no data yet, or actively fetching)
-  if (!data || data.loading) {
+  // A card with a last-known price keeps showing it while refreshing or after
+  // a failed fetch; only cards with nothing to show get the plain states.
+  const hasPrice = Boolean(data && data.price !== undefined);
+  const title = (
+    <button className="symbol-link" aria-label={'Show ' + symbol + ' details'} onClick={onShowDetails}>
+      {symbol}
+    </button>
+  );
+  const retryButton = data && data.error && !PERMANENT_ERRORS.includes(data.errorKind) && (
+    <button className="retry-btn" onClick={onRetry}>Retry</button>
+  );
+
+  // 1. Loading (no price yet)
+  if (!data || (data.loading && !hasPrice)) {
     return (
       <div className="stock-card">
         <div className="card-header">
-          <h3>{symbol}</h3>
+          <h3>{title}</h3>
           <button className="remove-btn" onClick={onRemove}>&times;</button>
         </div>
         <p className="loading">Loading...</p>
@@ -39,33 +107,178 @@ function StockCard({ symbol, data, onRemove }) {
     );
   }
 
-  // 2. Error
-  if (data.error) {
+  // 2. Error (and no last-known price to fall back on)
+  if (data.error && !hasPrice) {
     return (
       <div className="stock-card">
         <div className="card-header">
-          <h3>{symbol}</h3>
+          <h3>{title}</h3>
           <button className="remove-btn" onClick={onRemove}>&times;</button>
         </div>
         <p className="error">{data.error}</p>
+        {retryButton}
       </div>
     );
   }
 
-  // 3. Success — show price data
-  const isPositive = parseFloat(data.change) >= 0;
+  // 3. Price data — fresh, refreshing, or stale. Amounts are shown in the
+  // base currency once its exchange rate has loaded, with the listing
+  // price alongside.
+  const isPositive = data.change >= 0;
+  const currency = data.currency || 'USD';
+  const rate = convertAmount(1, currency, baseCurrency, rates);
+  const shownCurrency = rate !== null && baseCurrency !== 'none' ? baseCurrency : currency;
+  const money = (value, options) => formatMoney(value * (rate ?? 1), shownCurrency, { locale, ...options });
+  const hasDayRange = Number.isFinite(data.low) && Number.isFinite(data.high) && data.high > data.low;
+  const dayRangePct = hasDayRange
+    ? Math.min(100, Math.max(0, ((data.price - data.low) / (data.high - data.low)) * 100))
+    : 0;
+  // Quotes outside trading hours (or saved days ago) are from an earlier day
+  const priorSession = Boolean(data.latestTradingDay) && data.latestTradingDay < marketDate();
+  const position = lots.length > 0 ? summarizePosition(lots, data.price) : null;
+  const armedCount = alertRules.filter((rule) => rule.armed).length;
+  const triggeredCount = alertRules.length - armedCount;
 
   return (
     <div className="stock-card">
       <div className="card-header">
-        <h3>{symbol}</h3>
+        <h3>
+          {title}
+          {tag && <span className="tag-chip">{tag}</span>}
+        </h3>
         <button className="remove-btn" onClick={onRemove}>&times;</button>
       </div>
-      <p className="price">${data.price}</p>
+      <p className="price">
+        {money(data.price)}
+        {shownCurrency !== currency && (
+          <span className="native-price"> {formatMoney(data.price, currency, { locale })}</span>
+        )}
+        {data.loading && <span className="updating"> Updating...</span>}
+      </p>
       <p className={'change ' + (isPositive ? 'positive' : 'negative')}>
-        {isPositive ? '+' : ''}{data.change} ({data.changePct})
+        {money(data.change, { signed: true })} ({formatPercent(data.changePct, { locale, signed: true })})
       </p>
-      <p className="timestamp">Last updated: {secondsAgo}s ago</p>
+      {hasDayRange && (
+        <div
+          className="day-range"
+          role="img"
+          aria-label={'Day range ' + money(data.low) + ' to ' + money(data.high)}
+        >
+          <span>{money(data.low)}</span>
+          <span className="day-range-bar">
+            <span className="day-range-marker" style={{ left: dayRangePct + '%' }} />
+          </span>
+          <span>{money(data.high)}</span>
+        </div>
+      )}
+      {(Number.isFinite(data.volume) || data.latestTradingDay) && (
+        <p className="quote-meta">
+          {Number.isFinite(data.volume) && <span>Vol {formatCompact(data.volume, { locale })}</span>}
+          {data.latestTradingDay && (
+            <span className={priorSession ? 'prior-session' : undefined}>
+              {priorSession ? 'Prior session' : 'Today'} · {formatDay(data.latestTradingDay, { locale })}
+            </span>
+          )}
+        </p>
+      )}
+      {position && (
+        <p className="position">
+          {position.shares} sh · {money(position.marketValue)} ·{' '}
+          <span className={'change ' + (position.gain >= 0 ? 'positive' : 'negative')}>
+            {money(position.gain, { signed: true })} ({formatPercent(position.gainPct, { locale, signed: true })})
+          </span>
+        </p>
+      )}
+      {/* Waits for a fresh quote so the history call queues behind it */}
+      {indicators.length > 0 && !data.stale && (
+        <IndicatorBadges symbol={symbol} price={data.price} selected={indicators} />
+      )}
+      {alertRules.length > 0 && (
+        <p className="alert-summary">
+          {armedCount > 0 && <span className="alert-badge armed">{armedCount} armed</span>}
+          {triggeredCount > 0 && (
+            <span className="alert-badge triggered">{triggeredCount} triggered</span>
+          )}
+        </p>
+      )}
+      {data.stale && (
+        <p className="stale-badge">Stale as of {formatAsOf(data.lastUpdated)}</p>
+      )}
+      {data.error && (
+        <p className="error">
+          {data.error} {retryButton}
+        </p>
+      )}
+      <p className="timestamp">Last updated: {formatAge(secondsAgo)} ago</p>
+      <div className="card-actions">
+        <button
+          className="card-toggle"
+          aria-expanded={showChart}
+          onClick={() => setShowChart((prev) => !prev)}
+        >
+          {showChart ? 'Hide chart' : 'Show chart'}
+        </button>
+        <button
+          className="card-toggle"
+          aria-expanded={showHoldings}
+          onClick={() => setShowHoldings((prev) => !prev)}
+        >
+          Holdings{lots.length > 0 ? ' (' + lots.length + ')' : ''}
+        </button>
+        <button
+          className="card-toggle"
+          aria-expanded={showAlerts}
+          onClick={() => setShowAlerts((prev) => !prev)}
+        >
+          Alerts{alertRules.length > 0 ? ' (' + alertRules.length + ')' : ''}
+        </button>
+        <button
+          className="card-toggle"
+          aria-expanded={editingTag}
+          onClick={() => {
+            setTagDraft(tag);
+            setEditingTag((prev) => !prev);
+          }}
+        >
+          Tag
+        </button>
+      </div>
+      {editingTag && (
+        <form className="tag-form" onSubmit={handleTagSubmit}>
+          <input
+            type="text"
+            maxLength={24}
+            placeholder="e.g. Long term"
+            aria-label={symbol + ' tag'}
+            value={tagDraft}
+            onChange={(e) => setTagDraft(e.target.value)}
+          />
+          <button type="submit">Save tag</button>
+        </form>
+      )}
+      {/* Chart history is fetched only once the card is expanded */}
+      {showChart && <StockChart symbol={symbol} currency={currency} locale={locale} />}
+      {showHoldings && (
+        <HoldingsEditor
+          symbol={symbol}
+          lots={lots}
+          currency={currency}
+          locale={locale}
+          onAddLot={onAddLot}
+          onRemoveLot={onRemoveLot}
+        />
+      )}
+      {showAlerts && (
+        <AlertEditor
+          symbol={symbol}
+          rules={alertRules}
+          currency={currency}
+          locale={locale}
+          onAddAlert={onAddAlert}
+          onRemoveAlert={onRemoveAlert}
+          onRearmAlert={onRearmAlert}
+        />
+      )}
     </div>
   );
 }
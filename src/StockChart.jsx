@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react';
+import { fetchHistory } from './api';
+import { formatMoney, formatPercent } from './format';
+import { sma, ema, bollinger } from './indicators';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Each range uses the coarsest series that still covers it, so 1Y and 5Y
+// come from one weekly call instead of hundreds of daily bars.
+const RANGES = [
+  { label: '1D', interval: 'intraday', days: 1 },
+  { label: '1W', interval: 'daily', days: 7 },
+  { label: '1M', interval: 'daily', days: 30 },
+  { label: '1Y', interval: 'weekly', days: 365 },
+  { label: '5Y', interval: 'weekly', days: 5 * 365 },
+];
+
+// Indicator lines that can be drawn over the price. Periods count the
+// chart's own bars (days on 1W/1M, weeks on 1Y/5Y), and each is computed on
+// the whole fetched series so it is already warmed up at the range's start.
+// series picks one of the comparison palette's colours.
+const OVERLAYS = [
+  { value: 'sma20', label: 'SMA 20', series: 2, lines: (closes) => [{ values: sma(closes, 20) }] },
+  { value: 'sma50', label: 'SMA 50', series: 3, lines: (closes) => [{ values: sma(closes, 50) }] },
+  { value: 'ema20', label: 'EMA 20', series: 4, lines: (closes) => [{ values: ema(closes, 20) }] },
+  {
+    value: 'bollinger',
+    label: 'Bollinger',
+    series: 5,
+    lines: (closes) => {
+      const bands = bollinger(closes);
+      return [{ values: bands.upper, band: true }, { values: bands.middle }, { values: bands.lower, band: true }];
+    },
+  },
+];
+
+// SVG coordinate space — the chart is stretched to the card's width via CSS
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 100;
+const CHART_PADDING = 4; // keeps the stroke from clipping at the extremes
+
+// ---------------------------------------------------------------------------
+// Keep only the points inside the range, measured back from the LAST point
+// rather than from now — so weekends and stale series still show something.
+// ---------------------------------------------------------------------------
+function sliceToRange(points, range) {
+  if (points.length === 0) return points;
+  const lastDate = points[points.length - 1].date.slice(0, 10);
+
+  if (range.interval === 'intraday') {
+    return points.filter((p) => p.date.startsWith(lastDate));
+  }
+  const cutoff = Date.parse(lastDate) - range.days * DAY_MS;
+  return points.filter((p) => Date.parse(p.date.slice(0, 10)) >= cutoff);
+}
+
+// overlays: [{ overlay, values, band }] lined up with points, null where
+// an indicator has too little history
+function LineChart({ symbol, points, overlays, currency, locale }) {
+  const closes = points.map((p) => p.close);
+  const min = Math.min(...closes);
+  const max = Math.max(...closes);
+  // Bollinger bands in particular reach past the price, so the scale does too
+  const overlayValues = overlays.flatMap((line) => line.values.filter((v) => v !== null));
+  const low = Math.min(min, ...overlayValues);
+  const spread = Math.max(max, ...overlayValues) - low || 1; // flat series → draw a flat line, not NaN
+
+  const toCoords = (values) =>
+    values
+      .map((value, i) => {
+        if (value === null) return null;
+        const x = (i / (points.length - 1)) * CHART_WIDTH;
+        const y =
+          CHART_HEIGHT - CHART_PADDING -
+          ((value - low) / spread) * (CHART_HEIGHT - 2 * CHART_PADDING);
+        return x.toFixed(1) + ',' + y.toFixed(1);
+      })
+      .filter(Boolean)
+      .join(' ');
+
+  const first = closes[0];
+  const last = closes[closes.length - 1];
+  const isPositive = last >= first;
+  const rangePct = ((last - first) / first) * 100;
+  const shown = [...new Set(overlays.map((line) => line.overlay.label))];
+
+  return (
+    <>
+      <svg
+        className={'line-chart ' + (isPositive ? 'positive' : 'negative')}
+        viewBox={'0 0 ' + CHART_WIDTH + ' ' + CHART_HEIGHT}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={
+          symbol + ' price from ' + points[0].date + ' to ' + points[points.length - 1].date +
+          (shown.length > 0 ? ' with ' + shown.join(', ') : '')
+        }
+      >
+        {overlays.map((line, i) => (
+          <polyline
+            key={i}
+            className={'overlay-line series-' + line.overlay.series + (line.band ? ' band' : '')}
+            points={toCoords(line.values)}
+            fill="none"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+        <polyline className="price-line" points={toCoords(closes)} fill="none" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <p className="chart-summary">
+        Low {formatMoney(min, currency, { locale })} · High {formatMoney(max, currency, { locale })} ·{' '}
+        <span className={'change ' + (isPositive ? 'positive' : 'negative')}>
+          {formatPercent(rangePct, { locale, signed: true })}
+        </span>
+      </p>
+    </>
+  );
+}
+
+function StockChart({ symbol, currency = 'USD', locale = 'auto' }) {
+  const [rangeLabel, setRangeLabel] = useState('1M');
+  const [series, setSeries] = useState([]); // the whole fetched series, sliced when drawn
+  const [overlays, setOverlays] = useState([]); // values from OVERLAYS
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch the series behind the selected range. Switching range (or
+  // unmounting) aborts the previous request.
+  useEffect(() => {
+    const range = RANGES.find((r) => r.label === rangeLabel);
+    const controller = new AbortController();
+
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setSeries(await fetchHistory(symbol, range.interval, controller.signal));
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setError(err.message);
+          setSeries([]);
+        }
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    load();
+
+    return () => controller.abort();
+  }, [symbol, rangeLabel]);
+
+  // The range is always the tail of the series, so overlays drop the same
+  // number of leading values
+  const points = sliceToRange(series, RANGES.find((r) => r.label === rangeLabel));
+  const hidden = series.length - points.length;
+  const closes = series.map((p) => p.close);
+  const overlayLines = OVERLAYS.filter((o) => overlays.includes(o.value)).flatMap((overlay) =>
+    overlay.lines(closes).map((line) => ({ ...line, overlay, values: line.values.slice(hidden) }))
+  );
+
+  const toggleOverlay = (value) =>
+    setOverlays((prev) => (prev.includes(value) ? prev.filter((v) => v !== value) : [...prev, value]));
+
+  let body;
+  if (loading) {
+    body = <p className="loading">Loading chart...</p>;
+  } else if (error) {
+    body = <p className="error">{error}</p>;
+  } else if (points.length < 2) {
+    body = <p className="loading">No data for this range.</p>;
+  } else {
+    body = <LineChart symbol={symbol} points={points} overlays={overlayLines} currency={currency} locale={locale} />;
+  }
+
+  return (
+    <div className="stock-chart">
+      <div className="range-toggles" role="group" aria-label="Chart range">
+        {RANGES.map((r) => (
+          <button
+            key={r.label}
+            className={'range-btn' + (r.label === rangeLabel ? ' active' : '')}
+            aria-pressed={r.label === rangeLabel}
+            onClick={() => setRangeLabel(r.label)}
+          >
+            {r.label}
+          </button>
+        ))}
+      </div>
+      <div className="overlay-toggles" role="group" aria-label="Chart overlays">
+        {OVERLAYS.map((o) => (
+          <button
+            key={o.value}
+            className={'overlay-btn' + (overlays.includes(o.value) ? ' active' : '')}
+            aria-pressed={overlays.includes(o.value)}
+            onClick={() => toggleOverlay(o.value)}
+          >
+            <span className={'swatch series-' + o.series} aria-hidden="true" />
+            {o.label}
+          </button>
+        ))}
+      </div>
+      {body}
+    </div>
+  );
+}
+
+export default StockChart;
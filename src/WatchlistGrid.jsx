@@ -0,0 +1,108 @@
+import { useState, useId } from 'react';
+
+// ---------------------------------------------------------------------------
+// The card grid, split into groups. In manual order every card gets a
+// "Move" handle: drag it onto another card, or focus it and use the arrow
+// keys, to change the list's order. onMove(symbol, target) puts symbol in
+// target's slot; the live region reads the new position out.
+// ---------------------------------------------------------------------------
+function WatchlistGrid({ groups, reorderable, onMove, renderCard }) {
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const hintId = useId();
+
+  const handleKeyDown = (e, symbols, index) => {
+    const step = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const target = symbols[index + step];
+    if (!target) return;
+    onMove(symbols[index], target);
+    setAnnouncement(symbols[index] + ' moved to position ' + (index + step + 1) + ' of ' + symbols.length + '.');
+  };
+
+  const handleDragStart = (e, symbol) => {
+    setDragging(symbol);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', symbol);
+    // Drag the whole card, not just the handle
+    const card = e.currentTarget.closest('.grid-item');
+    if (card) e.dataTransfer.setDragImage(card, 20, 20);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = (e, target) => {
+    e.preventDefault();
+    if (dragging && dragging !== target) {
+      onMove(dragging, target);
+      setAnnouncement(dragging + ' moved.');
+    }
+    handleDragEnd();
+  };
+
+  const renderItem = (symbol, index, symbols) => {
+    const dropProps = reorderable && dragging
+      ? {
+          onDragOver: (e) => {
+            e.preventDefault();
+            if (dropTarget !== symbol) setDropTarget(symbol);
+          },
+          onDrop: (e) => handleDrop(e, symbol),
+        }
+      : {};
+    const className =
+      'grid-item' +
+      (dragging === symbol ? ' dragging' : '') +
+      (dropTarget === symbol && dragging !== symbol ? ' drop-target' : '');
+
+    return (
+      <div key={symbol} className={className} {...dropProps}>
+        {reorderable && (
+          <button
+            className="move-handle"
+            draggable
+            aria-label={'Move ' + symbol}
+            aria-describedby={hintId}
+            onKeyDown={(e) => handleKeyDown(e, symbols, index)}
+            onDragStart={(e) => handleDragStart(e, symbol)}
+            onDragEnd={handleDragEnd}
+          >
+            ⠿
+          </button>
+        )}
+        {renderCard(symbol)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="watchlist-grid">
+      {reorderable && (
+        <p id={hintId} className="sr-only">
+          Drag to reorder, or use the arrow keys to move the stock earlier or later.
+        </p>
+      )}
+      <p className="sr-only" role="status">{announcement}</p>
+
+      {groups.map((group) => (
+        <section key={group.name || 'all'} className="watchlist-group" aria-label={group.name || undefined}>
+          {group.name && (
+            <h2 className="group-heading">
+              {group.name} <span className="group-count">({group.symbols.length})</span>
+            </h2>
+          )}
+          <div className="watchlist">
+            {group.symbols.map((symbol, index) => renderItem(symbol, index, group.symbols))}
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default WatchlistGrid;
@@ -0,0 +1,105 @@
+import { useState } from 'react';
+
+// Choices for the size-limit setting — each symbol costs an API call per
+// refresh, so very long lists can't be kept fresh on the free tier.
+const MAX_STOCKS_OPTIONS = [3, 5, 10, 15, 20];
+
+function WatchlistManager({
+  lists,
+  activeId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDelete,
+  maxStocks,
+  onMaxStocksChange,
+}) {
+  // mode: null | 'create' | 'rename' | 'delete' — which inline form is open
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState('');
+
+  const activeList = lists.find((list) => list.id === activeId);
+
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    setName(nextMode === 'rename' ? activeList.name : '');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (mode === 'create') onCreate(trimmed);
+    else onRename(activeId, trimmed);
+    setMode(null);
+  };
+
+  return (
+    <div className="watchlist-manager">
+      <div className="list-tabs" role="tablist" aria-label="Watchlists">
+        {lists.map((list) => (
+          <button
+            key={list.id}
+            role="tab"
+            aria-selected={list.id === activeId}
+            className={'list-tab' + (list.id === activeId ? ' active' : '')}
+            onClick={() => onSwitch(list.id)}
+          >
+            {list.name}
+          </button>
+        ))}
+      </div>
+
+      {(mode === 'create' || mode === 'rename') && (
+        <form className="list-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            aria-label="List name"
+            placeholder="List name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+          />
+          <button type="submit">Save</button>
+          <button type="button" onClick={() => setMode(null)}>Cancel</button>
+        </form>
+      )}
+
+      {mode === 'delete' && (
+        <p className="list-form">
+          Delete “{activeList.name}”?{' '}
+          <button
+            onClick={() => {
+              onDelete(activeId);
+              setMode(null);
+            }}
+          >
+            Delete
+          </button>
+          <button onClick={() => setMode(null)}>Cancel</button>
+        </p>
+      )}
+
+      {mode === null && (
+        <div className="list-actions">
+          <button onClick={() => openForm('create')}>+ New list</button>
+          <button onClick={() => openForm('rename')}>Rename</button>
+          {/* The last remaining list can't be deleted */}
+          <button onClick={() => openForm('delete')} disabled={lists.length <= 1}>
+            Delete
+          </button>
+          <label className="max-stocks">
+            Max per list{' '}
+            <select value={maxStocks} onChange={(e) => onMaxStocksChange(Number(e.target.value))}>
+              {MAX_STOCKS_OPTIONS.map((n) => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WatchlistManager;
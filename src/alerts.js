@@ -0,0 +1,64 @@
+import { formatMoney } from './format';
+
+// ---------------------------------------------------------------------------
+// Price alert rules. alerts: { AAPL: [{ id, type, value, armed, triggeredAt }] }
+// Price thresholds are in the symbol's own listing currency.
+//   type 'above'     -> fires when price >= value
+//   type 'below'     -> fires when price <= value
+//   type 'changePct' -> fires when |daily % change| >= value
+// A rule fires once, then stays disarmed until the user re-arms it.
+// ---------------------------------------------------------------------------
+
+export const ALERT_TYPES = [
+  { type: 'above', label: 'Price above' },
+  { type: 'below', label: 'Price below' },
+  { type: 'changePct', label: 'Daily move beyond ±%' },
+];
+
+export function createAlertId() {
+  return 'alert-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function describeAlert(rule, currency = 'USD', locale = 'auto') {
+  if (rule.type === 'above') return 'Price above ' + formatMoney(rule.value, currency, { locale });
+  if (rule.type === 'below') return 'Price below ' + formatMoney(rule.value, currency, { locale });
+  return 'Daily move beyond ±' + rule.value + '%';
+}
+
+export function isAlertTriggered(rule, quote) {
+  if (rule.type === 'above') return quote.price >= rule.value;
+  if (rule.type === 'below') return quote.price <= rule.value;
+  if (rule.type === 'changePct') return Math.abs(quote.changePct) >= rule.value;
+  return false;
+}
+
+// Armed rules that a fresh quote satisfies
+export function findFiredAlerts(rules, quote) {
+  return rules.filter((rule) => rule.armed && isAlertTriggered(rule, quote));
+}
+
+// ---------------------------------------------------------------------------
+// Browser notifications. Permission is requested when the first rule is
+// created (it needs a user gesture); showNotification returns false when we
+// can't notify, so the caller can fall back to an in-app banner.
+// ---------------------------------------------------------------------------
+export function requestNotificationPermission() {
+  if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    // Older Safari returns nothing (callback form); a refusal stays 'default'
+    Promise.resolve(Notification.requestPermission()).catch(() => {});
+  }
+}
+
+export function showNotification(title, body) {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+    return false;
+  }
+  // Android Chrome and some webviews only notify through a service worker
+  // and throw "Illegal constructor" here — the banner takes over then
+  try {
+    new Notification(title, { body, tag: title });
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,379 @@
+import { listingCurrency } from './currency';
+import { parseListingCsv } from './symbolDirectory';
+import {
+  ApiError,
+  TimeoutError,
+  NetworkError,
+  RateLimitError,
+  NotFoundError,
+  ConfigError,
+  ParseError,
+} from './apiErrors';
+import { DAILY_LIMIT_MESSAGE, msUntilTomorrow } from './requestScheduler';
+
+// Global Variables
+
+// Calls go through our own proxy (server/proxy.js), which holds the key
+const PROXY_URL = '/api/';
+const TIMEOUT_MS = 5000; // 5-second timeout per the assignment
+const NEWS_LIMIT = 10; // headlines per symbol
+
+// Response key of the TIME_SERIES payload for each history interval
+const HISTORY_SERIES = {
+  intraday: 'Time Series (5min)',
+  daily: 'Time Series (Daily)',
+  weekly: 'Weekly Time Series',
+};
+
+// proxyUrl('quote', { symbol: 'IBM' }) -> "/api/quote?symbol=IBM"
+function proxyUrl(endpoint, params) {
+  return PROXY_URL + endpoint + '?' + new URLSearchParams(params).toString();
+}
+
+// ---------------------------------------------------------------------------
+// Helper: fetch with a built-in timeout.
+// Our own timeout becomes a TimeoutError and a failed connection a
+// NetworkError; a caller's abort is rethrown as the original AbortError.
+// ---------------------------------------------------------------------------
+async function fetchWithTimeout(url, externalSignal) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  if (externalSignal) {
+    externalSignal.addEventListener('abort', () => controller.abort());
+  }
+
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    clearTimeout(timeoutId);
+    return res;
+  } catch (err) {
+    clearTimeout(timeoutId);
+    if (externalSignal && externalSignal.aborted) {
+      throw err; // AbortError — caller will ignore this
+    }
+    if (err.name === 'AbortError') {
+      throw new TimeoutError(undefined, { cause: err });
+    }
+    throw new NetworkError(undefined, { cause: err });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Handle rate-limit messages
+// ---------------------------------------------------------------------------
+function isRateLimited(text) {
+  const lower = (text || '').toLowerCase();
+  return (
+    lower.includes('thank you for your patience') ||
+    lower.includes('call frequency') ||
+    lower.includes('premium') ||
+    lower.includes('rate limit') ||
+    lower.includes('too many')
+  );
+}
+
+// The daily-quota notice ("...rate limit is 25 requests per day...") can
+// only be waited out until tomorrow; anything else is the per-minute one.
+// Older notices quote both limits ("5 calls per minute and 500 calls per
+// day"), which is a per-minute hit.
+function noticeRateLimitError(notice) {
+  if (/per day/i.test(notice) && !/per minute/i.test(notice)) {
+    return new RateLimitError(DAILY_LIMIT_MESSAGE, { retryAfterMs: msUntilTomorrow(Date.now()) });
+  }
+  return new RateLimitError();
+}
+
+// Retry-After header in seconds (the HTTP-date form isn't worth handling)
+function readRetryAfter(res) {
+  const seconds = Number(res.headers.get('Retry-After'));
+  return seconds > 0 ? seconds * 1000 : undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Fetch and decode one call. HTTP failures and bodies that aren't JSON
+// become typed errors here, so the endpoints below only deal with
+// Alpha Vantage's own payloads.
+// ---------------------------------------------------------------------------
+async function fetchText(url, signal) {
+  const res = await fetchWithTimeout(url, signal);
+
+  if (res.status === 429) {
+    throw new RateLimitError(undefined, { retryAfterMs: readRetryAfter(res) });
+  }
+  if (res.status === 401 || res.status === 403) {
+    throw new ConfigError();
+  }
+  if (!res.ok) {
+    throw new NetworkError('Data provider is unavailable. Please try again.');
+  }
+
+  return res.text();
+}
+
+async function fetchJson(url, signal, label) {
+  const rawBody = await fetchText(url, signal);
+  // Log the raw response so you can see exactly what AV sent back
+  console.log('[' + label + '] raw response:', rawBody);
+
+  try {
+    return JSON.parse(rawBody);
+  } catch (err) {
+    throw new ParseError(undefined, { cause: err });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alpha Vantage reports most problems inside a 200 response:
+//   { "Note" | "Information": "...call frequency..." } -> rate limited
+//   { "Information": "...apikey..." }                  -> bad or missing key
+//   { "Error Message": "Invalid API call..." }         -> unknown symbol
+// Throws the matching typed error — a RateLimitError with a retry-after
+// hint for the rate limit, so api.js can back off — and returns normally
+// for a regular payload.
+// ---------------------------------------------------------------------------
+function checkNotice(json) {
+  const notice = json['Information'] || json['Note'];
+  if (notice) {
+    if (isRateLimited(notice)) throw noticeRateLimitError(notice);
+    if (/api ?key/i.test(notice)) throw new ConfigError();
+    throw new ApiError();
+  }
+
+  const errorMessage = json['Error Message'];
+  if (errorMessage) {
+    if (/api ?key/i.test(errorMessage)) throw new ConfigError();
+    throw new NotFoundError();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SYMBOL_SEARCH — returns [{ symbol, name, type, region, marketOpen,
+// marketClose, timezone, currency, matchScore }, ...]
+// ---------------------------------------------------------------------------
+async function search(keyword, signal) {
+  const url = proxyUrl('search', { keywords: keyword });
+
+  const json = await fetchJson(url, signal, 'searchSymbol');
+
+  checkNotice(json);
+
+  const matches = json['bestMatches'] || [];
+  if (matches.length === 0) {
+    throw new NotFoundError();
+  }
+
+  return matches.map((m) => ({
+    symbol: m['1. symbol'],
+    name: m['2. name'],
+    type: m['3. type'],
+    region: m['4. region'],
+    marketOpen: m['5. marketOpen'],
+    marketClose: m['6. marketClose'],
+    timezone: m['7. timezone'],
+    currency: m['8. currency'],
+    matchScore: parseFloat(m['9. matchScore']) || 0,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// GLOBAL_QUOTE — returns { price, change, changePct, currency, open, high,
+// low, volume, previousClose, latestTradingDay } with numbers, changePct in
+// percent and the trading day as "2025-01-31". AV doesn't say which currency
+// a quote is in, so it comes from the symbol's exchange suffix.
+// ---------------------------------------------------------------------------
+async function quote(symbol, signal) {
+  const url = proxyUrl('quote', { symbol });
+
+  const json = await fetchJson(url, signal, 'fetchQuote ' + symbol);
+
+  checkNotice(json);
+
+  const globalQuote = json['Global Quote'];
+  if (!globalQuote || !globalQuote['05. price']) {
+    throw new NotFoundError();
+  }
+
+  const { currency, scale } = listingCurrency(symbol);
+  const toPrice = (key) => {
+    const value = toNumber(globalQuote[key]);
+    return value === null ? null : value * scale;
+  };
+  return {
+    price: toPrice('05. price'),
+    change: toPrice('09. change') || 0,
+    // "1.0800%" -> 1.08
+    changePct: toNumber(globalQuote['10. change percent']) || 0,
+    currency,
+    open: toPrice('02. open'),
+    high: toPrice('03. high'),
+    low: toPrice('04. low'),
+    volume: toNumber(globalQuote['06. volume']),
+    previousClose: toPrice('08. previous close'),
+    latestTradingDay: globalQuote['07. latest trading day'] || null,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// TIME_SERIES_INTRADAY / _DAILY / _WEEKLY — returns [{ date, close }, ...]
+// oldest first. Intraday dates include the time ("2025-01-31 15:55:00").
+// ---------------------------------------------------------------------------
+async function history(symbol, interval = 'daily', signal) {
+  const seriesKey = HISTORY_SERIES[interval];
+  if (!seriesKey) throw new Error('Unknown history interval: ' + interval);
+
+  const url = proxyUrl('history', { symbol, interval });
+
+  const json = await fetchJson(url, signal, 'fetchHistory ' + symbol);
+
+  checkNotice(json);
+
+  const bars = json[seriesKey];
+  if (!bars) {
+    throw new NotFoundError();
+  }
+
+  const { scale } = listingCurrency(symbol);
+  return Object.keys(bars)
+    .sort()
+    .map((date) => ({ date, close: parseFloat(bars[date]['4. close']) * scale }));
+}
+
+// AV sends sectors upper-case ("TECHNOLOGY", "LIFE SCIENCES")
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+}
+
+// Fundamentals arrive as strings, with "None" or "-" when not applicable
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// "20250131T143000" -> "2025-01-31T14:30:00"
+function toISOTime(stamp) {
+  return stamp.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6');
+}
+
+// ---------------------------------------------------------------------------
+// OVERVIEW — returns { symbol, name, description, exchange, currency, sector,
+// industry, marketCap, peRatio, week52High, week52Low, dividendYield }
+// Numbers are null when AV has no value; dividendYield is a fraction.
+// ETFs and funds come back as an empty object, which we treat as not found.
+// ---------------------------------------------------------------------------
+async function overview(symbol, signal) {
+  const url = proxyUrl('overview', { symbol });
+
+  const json = await fetchJson(url, signal, 'fetchOverview ' + symbol);
+
+  checkNotice(json);
+
+  if (!json['Symbol']) {
+    throw new NotFoundError();
+  }
+
+  return {
+    symbol: json['Symbol'],
+    name: json['Name'],
+    description: json['Description'] || '',
+    exchange: json['Exchange'] || null,
+    currency: json['Currency'] || null,
+    sector: json['Sector'] ? titleCase(json['Sector']) : null,
+    industry: json['Industry'] ? titleCase(json['Industry']) : null,
+    marketCap: toNumber(json['MarketCapitalization']),
+    peRatio: toNumber(json['PERatio']),
+    week52High: toNumber(json['52WeekHigh']),
+    week52Low: toNumber(json['52WeekLow']),
+    dividendYield: toNumber(json['DividendYield']),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// NEWS_SENTIMENT — returns [{ title, url, source, publishedAt, summary,
+// sentiment }, ...] newest first. sentiment is AV's label for this ticker
+// ("Bullish", "Somewhat-Bearish", ...), falling back to the article's overall
+// label.
+// ---------------------------------------------------------------------------
+async function news(symbol, signal) {
+  const url = proxyUrl('news', { symbol, limit: NEWS_LIMIT });
+
+  const json = await fetchJson(url, signal, 'fetchNews ' + symbol);
+
+  checkNotice(json);
+
+  // No feed at all means AV didn't recognise the ticker; an empty one is
+  // just a quiet stock
+  if (!Array.isArray(json['feed'])) {
+    throw new NotFoundError();
+  }
+
+  return json['feed'].slice(0, NEWS_LIMIT).map((item) => {
+    const own = (item['ticker_sentiment'] || []).find((t) => t['ticker'] === symbol);
+    return {
+      title: item['title'],
+      url: item['url'],
+      source: item['source'],
+      publishedAt: toISOTime(item['time_published'] || ''),
+      summary: item['summary'] || '',
+      sentiment: own ? own['ticker_sentiment_label'] : item['overall_sentiment_label'],
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// LISTING_STATUS — returns [{ symbol, name, exchange, type }, ...] for every
+// active US listing. This one answers in CSV, or with the usual JSON when
+// there's a notice.
+// ---------------------------------------------------------------------------
+async function listing(signal) {
+  const text = await fetchText(proxyUrl('listing', {}), signal);
+
+  if (text.trimStart().startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      throw new ParseError(undefined, { cause: err });
+    }
+    checkNotice(json);
+    throw new ParseError();
+  }
+
+  const entries = parseListingCsv(text);
+  if (entries.length === 0) {
+    throw new ParseError();
+  }
+  return entries;
+}
+
+// ---------------------------------------------------------------------------
+// CURRENCY_EXCHANGE_RATE — returns how many `to` one `from` buys.
+// ---------------------------------------------------------------------------
+async function exchangeRate(from, to, signal) {
+  const url = proxyUrl('fx', { from, to });
+
+  const json = await fetchJson(url, signal, 'fetchExchangeRate ' + from + '>' + to);
+
+  checkNotice(json);
+
+  const rate = toNumber((json['Realtime Currency Exchange Rate'] || {})['5. Exchange Rate']);
+  if (rate === null) {
+    throw new NotFoundError('Unknown currency.');
+  }
+  return rate;
+}
+
+const alphaVantageProvider = {
+  name: 'alphavantage',
+  // Free tier allowance
+  rateLimit: { perMinute: 5, perDay: 25 },
+  search,
+  quote,
+  history,
+  overview,
+  news,
+  exchangeRate,
+  listing,
+};
+
+export default alphaVantageProvider;
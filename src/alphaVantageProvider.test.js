@@ -0,0 +1,42 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alphaVantageProvider from './alphaVantageProvider';
+import { RateLimitError } from './apiErrors';
+import { DAILY_LIMIT_MESSAGE } from './requestScheduler';
+
+// Alpha Vantage answers 200 with a notice body when a limit is hit
+function respondWith(body) {
+  vi.stubGlobal('fetch', vi.fn().mockResolvedValue(new Response(JSON.stringify(body), { status: 200 })));
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('Alpha Vantage rate-limit notices', () => {
+  it('should throw a RateLimitError for the per-minute notice instead of returning mock data', async () => {
+    respondWith({
+      Note: 'Thank you for using Alpha Vantage! Our standard API call frequency is 5 calls per minute and 500 calls per day.',
+    });
+
+    const error = await alphaVantageProvider.quote('IBM').catch((err) => err);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfterMs).toBe(60 * 1000);
+  });
+
+  it('should hint at tomorrow for the daily quota notice', async () => {
+    respondWith({
+      Information: 'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day.',
+    });
+
+    const error = await alphaVantageProvider.history('IBM', 'daily').catch((err) => err);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.message).toBe(DAILY_LIMIT_MESSAGE);
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+    expect(error.retryAfterMs).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+  });
+});
@@ -1,201 +1,302 @@
-// Global Variables
-
-const API_KEY = import.meta.env.VITE_ALPHA_VANTAGE_API_KEY;
-const BASE_URL = 'https://www.alphavantage.co/query';
-const TIMEOUT_MS = 5000; // 5-second timeout per the assignment
+import alphaVantageProvider from './alphaVantageProvider';
+import mockProvider from './mockProvider';
+import { createRequestScheduler, abortError } from './requestScheduler';
+import { isRetryable } from './apiErrors';
+import { postToTabs, subscribeTabs } from './tabChannel';
+import { BUNDLED_LISTING, searchListing, loadCachedListing, saveCachedListing } from './symbolDirectory';
 
 // ---------------------------------------------------------------------------
-// MOCK DATA — used automatically when the real API returns a rate-limit error.
+// Quote providers. Every provider implements the same interface:
+//   search(keyword, signal)  -> [{ symbol, name, type, region, currency,
+//                                 marketOpen, marketClose, timezone,
+//                                 matchScore }, ...]
+//   quote(symbol, signal)    -> { price, change, changePct, currency, open,
+//                                 high, low, volume, previousClose,
+//                                 latestTradingDay } with numbers, changePct
+//                               in percent (1.08), the day as "2025-01-31";
+//                               any field after currency may be null
+//   history(symbol, interval, signal)
+//                            -> [{ date, close }, ...] oldest first, where
+//                               interval is 'intraday', 'daily' or 'weekly'
+//   overview(symbol, signal) -> { symbol, name, description, exchange,
+//                                 currency, sector, industry, marketCap,
+//                                 peRatio, week52High, week52Low,
+//                                 dividendYield }
+//   news(symbol, signal)     -> [{ title, url, source, publishedAt, summary,
+//                                 sentiment }, ...] newest first
+//   exchangeRate(from, to, signal)
+//                            -> units of `to` per unit of `from`
+//   listing(signal)          -> [{ symbol, name, exchange, type }, ...] every
+//                               active listing, for the local directory
+// and may declare rateLimit: { perMinute, perDay }. Failures are thrown as
+// the typed errors in apiErrors.js.
+// To add a vendor, write a provider module and register it here.
+// Components only ever import the functions below.
 // ---------------------------------------------------------------------------
-const MOCK_SEARCH_DATA = {
-  aapl: [{ symbol: 'AAPL', name: 'Apple Inc' }, { symbol: 'AAPLX', name: 'Apple Hospitality REIT' }],
-  googl: [{ symbol: 'GOOGL', name: 'Alphabet Inc - Class A' }],
-  msft: [{ symbol: 'MSFT', name: 'Microsoft Corp' }],
-  tsla: [{ symbol: 'TSLA', name: 'Tesla Inc' }],
-  amzn: [{ symbol: 'AMZN', name: 'Amazon.com Inc' }],
-  nvda: [{ symbol: 'NVDA', name: 'NVIDIA Corp' }],
-  meta: [{ symbol: 'META', name: 'Meta Platforms Inc' }],
+const PROVIDERS = {
+  [alphaVantageProvider.name]: alphaVantageProvider,
+  [mockProvider.name]: mockProvider,
 };
 
-const MOCK_QUOTE_DATA = {
-  AAPL:  { price: '228.87', change: '2.45',  changePct: '1.08%' },
-  GOOGL: { price: '189.25', change: '-1.30', changePct: '-0.68%' },
-  MSFT:  { price: '409.18', change: '5.20',  changePct: '1.29%' },
-  TSLA:  { price: '350.40', change: '-8.75', changePct: '-2.44%' },
-  AMZN:  { price: '229.10', change: '3.60',  changePct: '1.60%' },
-  NVDA:  { price: '132.65', change: '1.90',  changePct: '1.45%' },
-  META:  { price: '612.00', change: '-4.10', changePct: '-0.67%' },
+// How long a successful response is reused before we spend another call
+const CACHE_TTL_MS = {
+  search: 24 * 60 * 60 * 1000,
+  quote: 60 * 1000,
+  history: {
+    intraday: 5 * 60 * 1000,
+    daily: 60 * 60 * 1000,
+    weekly: 24 * 60 * 60 * 1000,
+  },
+  overview: 24 * 60 * 60 * 1000,
+  news: 30 * 60 * 1000,
+  exchangeRate: 60 * 60 * 1000,
+  // The listing barely changes and is one large call
+  listing: 7 * 24 * 60 * 60 * 1000,
 };
 
+// VITE_QUOTE_PROVIDER picks the provider explicitly. Without it we use
+// Alpha Vantage when the proxy has a key (vite.config.js sets
+// VITE_API_PROXY) and the offline mock otherwise.
+function resolveProvider() {
+  const requested = (import.meta.env.VITE_QUOTE_PROVIDER || '').toLowerCase();
+  if (requested) {
+    if (PROVIDERS[requested]) return PROVIDERS[requested];
+    console.warn('[api] Unknown VITE_QUOTE_PROVIDER "' + requested + '" — using mock data');
+    return mockProvider;
+  }
+  return import.meta.env.VITE_API_PROXY ? alphaVantageProvider : mockProvider;
+}
+
+// VITE_API_CALLS_PER_MINUTE / VITE_API_CALLS_PER_DAY override the
+// provider's own allowance (e.g. for a premium key).
+function resolveBudget(provider) {
+  const limits = provider.rateLimit || {};
+  const perMinute = Number(import.meta.env.VITE_API_CALLS_PER_MINUTE) || limits.perMinute || Infinity;
+  const perDay = Number(import.meta.env.VITE_API_CALLS_PER_DAY) || limits.perDay || Infinity;
+  return { perMinute, perDay };
+}
+
+// Transient failures (timeouts, dropped connections, rate limits) are
+// retried with exponential backoff plus jitter. A retry-after hint replaces
+// the computed delay; one longer than MAX_RETRY_DELAY_MS (the daily limit)
+// isn't worth waiting for, so the error goes straight to the caller.
+const MAX_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const provider = resolveProvider();
+const budget = resolveBudget(provider);
+const scheduler = createRequestScheduler({ ...budget, storageKey: 'apiUsage:' + provider.name });
+
 // ---------------------------------------------------------------------------
-// Helper: fetch with a built-in timeout.
+// Retry with backoff. Every attempt goes back through the scheduler, so
+// retries are paced and counted like any other call.
 // ---------------------------------------------------------------------------
-async function fetchWithTimeout(url, externalSignal) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError());
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-  if (externalSignal) {
-    externalSignal.addEventListener('abort', () => controller.abort());
-  }
+function retryDelay(err, attempt) {
+  if (err.retryAfterMs) return err.retryAfterMs;
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** attempt;
+  return backoff + Math.random() * backoff * 0.5;
+}
 
-  try {
-    const res = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeoutId);
-    return res;
-  } catch (err) {
-    clearTimeout(timeoutId);
-    if (externalSignal && externalSignal.aborted) {
-      throw err; // AbortError — caller will ignore this
+async function withRetry(task, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await scheduler.schedule(() => task(signal), signal);
+    } catch (err) {
+      if (attempt >= MAX_RETRIES || !isRetryable(err) || signal.aborted) throw err;
+      const delay = retryDelay(err, attempt);
+      if (delay > MAX_RETRY_DELAY_MS) throw err;
+      await sleep(delay, signal);
     }
-    if (err.name === 'AbortError') {
-      throw new Error('timeout');
-    }
-    throw err;
   }
 }
 
 // ---------------------------------------------------------------------------
-// Handle rate-limit messages
+// Cache + in-flight deduplication.
+// Every caller asking for the same key while a request is queued or running
+// shares that one request. A caller's signal only cancels its own wait; the
+// shared request is cancelled once every caller has gone away.
 // ---------------------------------------------------------------------------
-function isRateLimited(text) {
-  const lower = (text || '').toLowerCase();
-  return (
-    lower.includes('thank you for your patience') ||
-    lower.includes('call frequency') ||
-    lower.includes('premium') ||
-    lower.includes('rate limit') ||
-    lower.includes('too many')
-  );
+const cache = new Map(); // key -> { value, time }
+const inFlight = new Map(); // key -> { promise, controller, waiters }
+
+function request(key, ttl, task, signal) {
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.time < ttl) return Promise.resolve(hit.value);
+
+  let entry = inFlight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = withRetry(task, controller.signal)
+      .then((value) => {
+        cache.set(key, { value, time: Date.now() });
+        return value;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === entry) inFlight.delete(key);
+      });
+    entry = { promise, controller, waiters: 0 };
+    inFlight.set(key, entry);
+  }
+  entry.waiters += 1;
+
+  if (!signal) return entry.promise;
+
+  const shared = entry;
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      shared.waiters -= 1;
+      if (shared.waiters === 0) {
+        inFlight.delete(key);
+        shared.controller.abort();
+      }
+      reject(abortError());
+    }
+
+    // Handlers go on before any abort, so the shared request's rejection
+    // is always handled — even when it is cancelled right here
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 // ---------------------------------------------------------------------------
-// Mapping raw errors per assignment guidelines
+// Quotes shared between tabs. Every quote this tab fetches is posted to the
+// other tabs, which put it straight into their cache — so with several tabs
+// open a symbol still costs one call per TTL, not one per tab.
 // ---------------------------------------------------------------------------
-function parseError(err, rawBody) {
-  const combined = (err?.message || '') + ' ' + (rawBody || '');
+const sharedQuoteListeners = new Set();
 
-  if (combined.includes('timeout')) {
-    return 'Connection timed out. Please try again.';
-  }
-  if (combined.includes('429') || isRateLimited(combined)) {
-    return 'Too many requests. Try again in 1 minute.';
-  }
-  if (combined.includes('Invalid API') || combined.includes('invalid')) {
-    return 'Configuration error. Please contact support.';
-  }
-  if (combined.includes('not found') || combined.includes('No data')) {
-    return 'Symbol not found. Check your spelling.';
-  }
-  return 'Something went wrong. Please try again.';
-}
+subscribeTabs((message) => {
+  if (message.type !== 'quote') return;
+  cache.set('quote:' + message.symbol, { value: message.quote, time: message.time });
+  sharedQuoteListeners.forEach((listener) => listener(message.symbol, message.quote, message.time));
+});
 
 // ---------------------------------------------------------------------------
-// SYMBOL_SEARCH — returns [{ symbol, name }, ...]
-// Falls back to mock data if rate-limited.
+// Public API
 // ---------------------------------------------------------------------------
-export async function searchSymbol(keyword, signal) {
-  const url =
-    BASE_URL +
-    '?function=SYMBOL_SEARCH' +
-    '&keywords=' + encodeURIComponent(keyword) +
-    '&apikey=' + API_KEY;
-
-  let rawBody = '';
-  try {
-    const res = await fetchWithTimeout(url, signal);
-    rawBody = await res.text();
-
-    // Log the raw response so you can see exactly what AV sent back
-    console.log('[searchSymbol] raw response:', rawBody);
-
-    const json = JSON.parse(rawBody);
-
-    // Check for rate limit FIRST — if hit, fall back to mock
-    if (json['Information'] || json['Note']) {
-      const msg = json['Information'] || json['Note'];
-      if (isRateLimited(msg)) {
-        console.log('[searchSymbol] Rate limited — using mock data');
-        return getMockSearchResults(keyword);
-      }
-      // Not a rate limit — some other AV error
-      throw new Error(msg);
-    }
+export function getProviderName() {
+  return provider.name;
+}
 
-    const matches = json['bestMatches'] || [];
-    if (matches.length === 0) {
-      throw new Error('Symbol not found. Check your spelling.');
-    }
+// Remaining budget, or null when the provider has no limits (e.g. mock)
+export function getQuota() {
+  if (budget.perMinute === Infinity && budget.perDay === Infinity) return null;
+  return scheduler.getQuota();
+}
 
-    return matches.map((m) => ({
-      symbol: m['1. symbol'],
-      name: m['2. name'],
-    }));
-  } catch (err) {
-    if (err.name === 'AbortError') throw err;
-    if (err.message === 'Symbol not found. Check your spelling.') throw err;
-    throw new Error(parseError(err, rawBody));
-  }
+// listener(quota) runs whenever a call is queued, started or expires from
+// the minute window. Returns an unsubscribe function.
+export function subscribeQuota(listener) {
+  return scheduler.subscribe(() => listener(getQuota()));
 }
 
 // ---------------------------------------------------------------------------
-// GLOBAL_QUOTE — returns { price, change, changePct }
-// Falls back to mock data if rate-limited.
+// Local symbol directory. Searches run against the listing bundled with the
+// app until loadSymbolDirectory() has the provider's full one — from
+// localStorage when it is less than a week old, otherwise with one call.
 // ---------------------------------------------------------------------------
-export async function fetchQuote(symbol) {
-  const url =
-    BASE_URL +
-    '?function=GLOBAL_QUOTE' +
-    '&symbol=' + encodeURIComponent(symbol) +
-    '&apikey=' + API_KEY;
-
-  let rawBody = '';
-  try {
-    const res = await fetchWithTimeout(url);
-    rawBody = await res.text();
-
-    console.log('[fetchQuote] raw response for ' + symbol + ':', rawBody);
-
-    const json = JSON.parse(rawBody);
-
-    if (json['Information'] || json['Note']) {
-      const msg = json['Information'] || json['Note'];
-      if (isRateLimited(msg)) {
-        console.log('[fetchQuote] Rate limited — using mock data for ' + symbol);
-        return getMockQuote(symbol);
+let directory = BUNDLED_LISTING;
+let directoryLoad = null;
+
+// Safe to call repeatedly; a failed load is tried again on the next call
+export function loadSymbolDirectory() {
+  if (!directoryLoad) {
+    directoryLoad = (async () => {
+      const cached = loadCachedListing(CACHE_TTL_MS.listing);
+      if (cached && cached.length > 0) {
+        directory = cached;
+        return;
       }
-      throw new Error(msg);
-    }
+      directory = await request('listing', CACHE_TTL_MS.listing, (s) => provider.listing(s));
+      saveCachedListing(directory);
+    })().catch((err) => {
+      console.log('[api] symbol directory unavailable — searching the bundled listing: ' + err.message);
+      directoryLoad = null;
+    });
+  }
+  return directoryLoad;
+}
 
-    const quote = json['Global Quote'];
-    if (!quote || !quote['05. price']) {
-      throw new Error('Symbol not found. Check your spelling.');
-    }
+// Instant, no call: fuzzy matches on symbol and company name, best first
+export function searchLocalSymbols(keyword, limit) {
+  return searchListing(directory, keyword, limit);
+}
 
-    return {
-      price: parseFloat(quote['05. price']).toFixed(2),
-      change: parseFloat(quote['08. change']).toFixed(2),
-      changePct: quote['10. change percent'] || '0.00%',
-    };
-  } catch (err) {
-    if (err.message === 'Symbol not found. Check your spelling.') throw err;
-    throw new Error(parseError(err, rawBody));
-  }
+// Results come back best match first, whatever order the provider used
+export async function searchSymbol(keyword, signal) {
+  const key = 'search:' + keyword.trim().toLowerCase();
+  const results = await request(key, CACHE_TTL_MS.search, (s) => provider.search(keyword, s), signal);
+  return [...results].sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0));
 }
 
-// ---------------------------------------------------------------------------
-// Mock helpers — only called when rate-limited
-// ---------------------------------------------------------------------------
-function getMockSearchResults(keyword) {
-  const key = keyword.toLowerCase();
-  // Check for exact match first, then check if any mock key starts with the input
-  if (MOCK_SEARCH_DATA[key]) return MOCK_SEARCH_DATA[key];
-  const partial = Object.keys(MOCK_SEARCH_DATA).find((k) => k.startsWith(key));
-  if (partial) return MOCK_SEARCH_DATA[partial];
-  throw new Error('Symbol not found. Check your spelling.');
-}
-
-function getMockQuote(symbol) {
-  if (MOCK_QUOTE_DATA[symbol]) return MOCK_QUOTE_DATA[symbol];
-  // If the symbol isn't in our mock list, return a generic placeholder
-  return { price: '100.00', change: '0.50', changePct: '0.50%' };
+export async function fetchQuote(symbol) {
+  return request('quote:' + symbol, CACHE_TTL_MS.quote, async (s) => {
+    const quote = await provider.quote(symbol, s);
+    postToTabs({ type: 'quote', symbol, quote, time: Date.now() });
+    return quote;
+  });
+}
+
+// listener(symbol, quote, time) runs when another tab fetched a quote.
+// Returns an unsubscribe function.
+export function subscribeSharedQuotes(listener) {
+  sharedQuoteListeners.add(listener);
+  return () => sharedQuoteListeners.delete(listener);
+}
+
+export async function fetchHistory(symbol, interval = 'daily', signal) {
+  const ttl = CACHE_TTL_MS.history[interval];
+  if (!ttl) throw new Error('Unknown history interval: ' + interval);
+  const key = 'history:' + interval + ':' + symbol;
+  return request(key, ttl, (s) => provider.history(symbol, interval, s), signal);
+}
+
+// History for several symbols at once: { series: { AAPL: [...] }, errors:
+// { MSFT: error } }, so one symbol failing doesn't sink the rest
+export async function fetchHistories(symbols, interval, signal) {
+  const settled = await Promise.allSettled(symbols.map((symbol) => fetchHistory(symbol, interval, signal)));
+  const result = { series: {}, errors: {} };
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') result.series[symbols[i]] = outcome.value;
+    else result.errors[symbols[i]] = outcome.reason;
+  });
+  return result;
+}
+
+export async function fetchOverview(symbol, signal) {
+  return request('overview:' + symbol, CACHE_TTL_MS.overview, (s) => provider.overview(symbol, s), signal);
+}
+
+export async function fetchNews(symbol, signal) {
+  return request('news:' + symbol, CACHE_TTL_MS.news, (s) => provider.news(symbol, s), signal);
+}
+
+// Currency codes are ISO 4217 ('EUR'); the same currency converts at 1
+// without a call
+export async function fetchExchangeRate(from, to, signal) {
+  if (from === to) return 1;
+  const key = 'rate:' + from + '>' + to;
+  return request(key, CACHE_TTL_MS.exchangeRate, (s) => provider.exchangeRate(from, to, s), signal);
 }
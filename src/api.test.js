@@ -0,0 +1,94 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { fetchQuote, fetchHistory, subscribeSharedQuotes } from './api';
+import mockProvider from './mockProvider';
+import { TimeoutError, NotFoundError } from './apiErrors';
+
+// With no API key configured, api.js talks to the mock provider
+vi.mock('./mockProvider', () => ({
+  default: { name: 'mock', search: vi.fn(), quote: vi.fn(), history: vi.fn() },
+}));
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  mockProvider.quote.mockReset();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Retry with backoff', () => {
+  it('should retry a transient error after a delay and return the result', async () => {
+    mockProvider.quote
+      .mockRejectedValueOnce(new TimeoutError())
+      .mockResolvedValue({ price: '100.00', change: '1.00', changePct: '1.00%' });
+
+    const result = fetchQuote('RETRY');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(mockProvider.quote).toHaveBeenCalledTimes(1);
+
+    // First backoff is 1–1.5s
+    await vi.advanceTimersByTimeAsync(1500);
+    expect(mockProvider.quote).toHaveBeenCalledTimes(2);
+    await expect(result).resolves.toMatchObject({ price: '100.00' });
+  });
+
+  it('should give up after the last retry', async () => {
+    mockProvider.quote.mockRejectedValue(new TimeoutError());
+
+    const result = fetchQuote('DOWN');
+    const assertion = expect(result).rejects.toBeInstanceOf(TimeoutError);
+    await vi.advanceTimersByTimeAsync(10 * 1000);
+
+    await assertion;
+    expect(mockProvider.quote).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry a permanent error', async () => {
+    mockProvider.quote.mockRejectedValue(new NotFoundError());
+
+    await expect(fetchQuote('NOPE')).rejects.toBeInstanceOf(NotFoundError);
+    expect(mockProvider.quote).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Cancellation', () => {
+  it('should reject a caller that is already aborted without leaving the shared call unhandled', async () => {
+    // Like a real fetch, the provider rejects once its signal aborts
+    mockProvider.history.mockImplementation(
+      (symbol, interval, signal) =>
+        new Promise((resolve, reject) => {
+          const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+          if (signal.aborted) abort();
+          signal.addEventListener('abort', abort);
+        })
+    );
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(fetchHistory('GONE', 'daily', controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+    // An unhandled rejection from the cancelled shared call would fail the run
+    await vi.advanceTimersByTimeAsync(0);
+  });
+});
+
+describe('Quotes shared between tabs', () => {
+  it('should post fetched quotes and reuse quotes posted by another tab', async () => {
+    vi.useRealTimers();
+    const otherTab = new BroadcastChannel('stock-watchlist');
+    const received = [];
+    otherTab.onmessage = (e) => received.push(e.data);
+    mockProvider.quote.mockResolvedValue({ price: '50.00', change: '1.00', changePct: '2.00%' });
+
+    await fetchQuote('POST');
+    await vi.waitFor(() => expect(received).toHaveLength(1));
+    expect(received[0]).toMatchObject({ type: 'quote', symbol: 'POST', quote: { price: '50.00' } });
+
+    const shared = new Promise((resolve) => subscribeSharedQuotes(resolve));
+    otherTab.postMessage({ type: 'quote', symbol: 'SHARED', quote: { price: '75.00' }, time: Date.now() });
+    expect(await shared).toBe('SHARED');
+    expect(await fetchQuote('SHARED')).toEqual({ price: '75.00' });
+    expect(mockProvider.quote).toHaveBeenCalledTimes(1);
+    otherTab.close();
+  });
+});
@@ -0,0 +1,76 @@
+// ---------------------------------------------------------------------------
+// Typed API errors. Providers throw these instead of bare Errors so callers
+// can decide what to do from `kind` rather than by matching message text.
+// `message` is always the user-facing string shown on the card.
+//
+//   kind            retryable   default message
+//   timeout         yes         Connection timed out. Please try again.
+//   network         yes         Network error. Check your connection...
+//   rate-limited    yes*        Too many requests. Try again in 1 minute.
+//   not-found       no          Symbol not found. Check your spelling.
+//   config          no          Configuration error. Please contact support.
+//   parse           no          Unexpected response from the data provider...
+//   unknown         no          Something went wrong. Please try again.
+//
+// * rate-limited errors carry retryAfterMs; api.js only waits that long when
+//   it is short (a per-minute limit), not for the daily one.
+// ---------------------------------------------------------------------------
+
+export class ApiError extends Error {
+  constructor(message = 'Something went wrong. Please try again.', { kind = 'unknown', retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return this.kind === 'timeout' || this.kind === 'network' || this.kind === 'rate-limited';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(message = 'Connection timed out. Please try again.', options = {}) {
+    super(message, { ...options, kind: 'timeout' });
+    this.name = 'TimeoutError';
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(message = 'Network error. Check your connection and try again.', options = {}) {
+    super(message, { ...options, kind: 'network' });
+    this.name = 'NetworkError';
+  }
+}
+
+export class RateLimitError extends ApiError {
+  constructor(message = 'Too many requests. Try again in 1 minute.', options = {}) {
+    super(message, { retryAfterMs: 60 * 1000, ...options, kind: 'rate-limited' });
+    this.name = 'RateLimitError';
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message = 'Symbol not found. Check your spelling.', options = {}) {
+    super(message, { ...options, kind: 'not-found' });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ConfigError extends ApiError {
+  constructor(message = 'Configuration error. Please contact support.', options = {}) {
+    super(message, { ...options, kind: 'config' });
+    this.name = 'ConfigError';
+  }
+}
+
+export class ParseError extends ApiError {
+  constructor(message = 'Unexpected response from the data provider. Please try again.', options = {}) {
+    super(message, { ...options, kind: 'parse' });
+    this.name = 'ParseError';
+  }
+}
+
+export function isRetryable(err) {
+  return err instanceof ApiError && err.retryable;
+}
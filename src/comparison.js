@@ -0,0 +1,45 @@
+// ---------------------------------------------------------------------------
+// Comparison chart math. Each symbol's closes are rebased to percent return
+// from the first date shown, so symbols at $20 and $900 share one axis.
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alpha Vantage's free daily series is the last 100 sessions, so anything
+// longer than a quarter comes from the weekly one
+export const COMPARE_RANGES = [
+  { label: '1M', interval: 'daily', days: 30 },
+  { label: '3M', interval: 'daily', days: 91 },
+  { label: '6M', interval: 'weekly', days: 182 },
+  { label: '1Y', interval: 'weekly', days: 365 },
+];
+
+export const DEFAULT_COMPARE_RANGE = '3M';
+
+// More lines than this stop being readable
+export const MAX_COMPARE_SYMBOLS = 5;
+
+export function findCompareRange(label) {
+  return COMPARE_RANGES.find((r) => r.label === label) || COMPARE_RANGES.find((r) => r.label === DEFAULT_COMPARE_RANGE);
+}
+
+// seriesBySymbol: { AAPL: [{ date, close }, ...] } oldest first. Keeps the
+// dates every symbol traded on, within `days` of the last of them (measured
+// back from the data, not from now), and returns
+//   { dates: ['2025-01-02', ...], lines: [{ symbol, returns: [0, 1.2, ...] }] }
+// with returns in percent. Fewer than two common dates gives no dates.
+export function buildComparison(seriesBySymbol, symbols, days) {
+  const closes = symbols.map((symbol) => new Map(seriesBySymbol[symbol].map((p) => [p.date.slice(0, 10), p.close])));
+  const common = [...closes[0].keys()].filter((date) => closes.every((byDate) => byDate.has(date))).sort();
+  if (common.length === 0) return { dates: [], lines: [] };
+
+  const cutoff = Date.parse(common[common.length - 1]) - days * DAY_MS;
+  const dates = common.filter((date) => Date.parse(date) >= cutoff);
+  if (dates.length < 2) return { dates: [], lines: [] };
+
+  const lines = symbols.map((symbol, i) => {
+    const base = closes[i].get(dates[0]);
+    return { symbol, returns: dates.map((date) => (closes[i].get(date) / base - 1) * 100) };
+  });
+  return { dates, lines };
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildComparison, findCompareRange } from './comparison';
+
+// Two symbols that don't trade on exactly the same days
+const SERIES = {
+  AAPL: [
+    { date: '2024-12-02', close: 90 },
+    { date: '2025-01-02', close: 100 },
+    { date: '2025-01-03', close: 110 },
+    { date: '2025-01-06', close: 95 },
+  ],
+  MSFT: [
+    { date: '2025-01-02', close: 400 },
+    { date: '2025-01-03', close: 400 },
+    { date: '2025-01-06', close: 420 },
+    { date: '2025-01-07', close: 430 },
+  ],
+};
+
+describe('Comparison', () => {
+  it('should keep the common dates in range and rebase each symbol to 0%', () => {
+    const { dates, lines } = buildComparison(SERIES, ['AAPL', 'MSFT'], 30);
+
+    expect(dates).toEqual(['2025-01-02', '2025-01-03', '2025-01-06']);
+    expect(lines[0].symbol).toBe('AAPL');
+    expect(lines[0].returns.map((r) => Number(r.toFixed(2)))).toEqual([0, 10, -5]);
+    expect(lines[1].returns.map((r) => Number(r.toFixed(2)))).toEqual([0, 0, 5]);
+  });
+
+  it('should give nothing to draw without two common dates, and default unknown ranges', () => {
+    expect(buildComparison(SERIES, ['AAPL', 'MSFT'], 1).dates).toEqual([]);
+    expect(buildComparison({ A: [{ date: '2025-01-02', close: 1 }], B: [{ date: '2025-01-03', close: 1 }] }, ['A', 'B'], 30)).toEqual({
+      dates: [],
+      lines: [],
+    });
+    expect(findCompareRange('1Y')).toMatchObject({ interval: 'weekly' });
+    expect(findCompareRange('bogus').label).toBe('3M');
+  });
+});
@@ -0,0 +1,43 @@
+// ---------------------------------------------------------------------------
+// Listing currencies and conversion. Quotes carry the currency they trade
+// in; the user may pick a base currency to see everything converted into.
+// rates: { 'EUR>USD': 1.08, ... } — one multiplier per pair, filled in by
+// App as fetchExchangeRate answers.
+// ---------------------------------------------------------------------------
+
+// Alpha Vantage marks non-US listings with an exchange suffix ("SAP.DEX").
+// London quotes are in pence; scale turns them into pounds.
+const SUFFIX_CURRENCIES = {
+  DEX: { currency: 'EUR' },
+  FRK: { currency: 'EUR' },
+  PAR: { currency: 'EUR' },
+  AMS: { currency: 'EUR' },
+  LON: { currency: 'GBP', scale: 0.01 },
+  TRT: { currency: 'CAD' },
+  TRV: { currency: 'CAD' },
+  BSE: { currency: 'INR' },
+  NSE: { currency: 'INR' },
+  SHH: { currency: 'CNY' },
+  SHZ: { currency: 'CNY' },
+  TYO: { currency: 'JPY' },
+};
+
+// 'none' shows every price in the currency it trades in
+export const BASE_CURRENCIES = ['none', 'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'INR', 'CNY'];
+
+export function listingCurrency(symbol) {
+  const suffix = symbol.includes('.') ? symbol.split('.').pop().toUpperCase() : '';
+  return { scale: 1, ...(SUFFIX_CURRENCIES[suffix] || { currency: 'USD' }) };
+}
+
+export function ratePair(from, to) {
+  return from + '>' + to;
+}
+
+// value (in `from`) expressed in the base currency, or null while the rate
+// is still loading. Without a base currency nothing is converted.
+export function convertAmount(value, from, base, rates) {
+  if (base === 'none' || from === base) return value;
+  const rate = rates[ratePair(from, base)];
+  return rate === undefined ? null : value * rate;
+}
@@ -0,0 +1,87 @@
+// ---------------------------------------------------------------------------
+// Number and date formatting through Intl. locale is the user's setting:
+// 'auto' follows the browser, anything else is a BCP 47 tag ('de-DE').
+// Formatters are cached because cards re-render every second.
+// ---------------------------------------------------------------------------
+
+export const LOCALE_OPTIONS = [
+  { value: 'auto', label: 'Browser default' },
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'en-IN', label: 'English (India)' },
+  { value: 'de-DE', label: 'Deutsch' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'ja-JP', label: '日本語' },
+];
+
+const formatters = new Map();
+
+function numberFormat(locale, options) {
+  const key = locale + JSON.stringify(options);
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale === 'auto' ? undefined : locale, options));
+  }
+  return formatters.get(key);
+}
+
+// "1,234.50" / "1.234,50"
+export function formatNumber(value, { locale = 'auto', digits = 2 } = {}) {
+  return numberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
+
+// "$1,234.50" / "+€12.00" / "-£3.40" / "$3.44T". A currency code Intl
+// doesn't know is shown after the number instead.
+export function formatMoney(value, currency = 'USD', { locale = 'auto', signed = false, compact = false } = {}) {
+  const options = compact
+    ? { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 2 }
+    : { style: 'currency', currency };
+  if (signed) options.signDisplay = 'exceptZero';
+  try {
+    return numberFormat(locale, options).format(value);
+  } catch {
+    const sign = signed && value > 0 ? '+' : '';
+    return sign + formatNumber(value, { locale }) + ' ' + currency;
+  }
+}
+
+// "52.3M" / "1.2K" — volumes and other counts
+export function formatCompact(value, { locale = 'auto' } = {}) {
+  return numberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
+
+// value is in percent points: 1.08 -> "1.08%"
+export function formatPercent(value, { locale = 'auto', signed = false } = {}) {
+  const options = { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 };
+  if (signed) options.signDisplay = 'exceptZero';
+  return numberFormat(locale, options).format(value / 100);
+}
+
+// "2025-01-31" -> "Fri, Jan 31". The date has no time zone, so it is read
+// and shown as UTC to stay on the same day everywhere.
+export function formatDay(isoDate, { locale = 'auto' } = {}) {
+  const key = 'day:' + locale;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat(locale === 'auto' ? undefined : locale, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC',
+      })
+    );
+  }
+  return formatters.get(key).format(new Date(isoDate + 'T00:00:00Z'));
+}
+
+// "2025-01-31" -> "Jan 31, 2025", read as UTC like formatDay
+export function formatDate(isoDate, { locale = 'auto' } = {}) {
+  const key = 'date:' + locale;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat(locale === 'auto' ? undefined : locale, { dateStyle: 'medium', timeZone: 'UTC' })
+    );
+  }
+  return formatters.get(key).format(new Date(isoDate.slice(0, 10) + 'T00:00:00Z'));
+}
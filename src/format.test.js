@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { formatMoney, formatPercent } from './format';
+import { listingCurrency, convertAmount } from './currency';
+
+describe('Number formatting', () => {
+  it('should format money and percentages for the chosen locale', () => {
+    expect(formatMoney(1234.5, 'USD', { locale: 'en-US' })).toBe('$1,234.50');
+    expect(formatMoney(1234.5, 'EUR', { locale: 'de-DE' })).toBe('1.234,50\u00a0€');
+    expect(formatMoney(2.45, 'USD', { locale: 'en-US', signed: true })).toBe('+$2.45');
+    expect(formatMoney(3.44e12, 'USD', { locale: 'en-US', compact: true })).toBe('$3.44T');
+    expect(formatPercent(-1.08, { locale: 'en-US', signed: true })).toBe('-1.08%');
+  });
+
+  it('should show a currency code Intl rejects after the number', () => {
+    expect(formatMoney(12, 'NOT-A-CODE', { locale: 'en-US' })).toBe('12.00 NOT-A-CODE');
+  });
+});
+
+describe('Currencies', () => {
+  it('should read the listing currency from the exchange suffix', () => {
+    expect(listingCurrency('AAPL')).toEqual({ currency: 'USD', scale: 1 });
+    expect(listingCurrency('BRK.B')).toEqual({ currency: 'USD', scale: 1 });
+    expect(listingCurrency('SAP.DEX')).toEqual({ currency: 'EUR', scale: 1 });
+    expect(listingCurrency('TSCO.LON')).toEqual({ currency: 'GBP', scale: 0.01 });
+  });
+
+  it('should convert only once the rate is known', () => {
+    const rates = { 'EUR>USD': 1.08 };
+    expect(convertAmount(100, 'EUR', 'USD', rates)).toBeCloseTo(108);
+    expect(convertAmount(100, 'GBP', 'USD', rates)).toBeNull();
+    expect(convertAmount(100, 'GBP', 'none', rates)).toBe(100);
+  });
+});
@@ -0,0 +1,160 @@
+// ---------------------------------------------------------------------------
+// Technical indicators over a series of closes, oldest first. Every function
+// returns arrays the same length as its input, with null where there isn't
+// enough history yet, so results line up index for index with the closes.
+// Periods count bars: on a daily series, sma(closes, 50) is the 50-day SMA.
+// ---------------------------------------------------------------------------
+
+export const RSI_OVERBOUGHT = 70;
+export const RSI_OVERSOLD = 30;
+
+// Indicators a card can show as badges, picked in the settings panel
+export const INDICATOR_OPTIONS = [
+  { value: 'sma20', label: '20-day SMA' },
+  { value: 'sma50', label: '50-day SMA' },
+  { value: 'ema20', label: '20-day EMA' },
+  { value: 'rsi', label: 'RSI (14)' },
+  { value: 'macd', label: 'MACD (12, 26, 9)' },
+  { value: 'bollinger', label: 'Bollinger Bands (20, 2)' },
+];
+
+// Simple moving average
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  });
+  return result;
+}
+
+// Exponential moving average, seeded with the SMA of its first `period`
+// values. Leading nulls (as in a MACD line) are skipped.
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex((value) => value !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  const k = 2 / (period + 1);
+  let prev = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+  result[start + period - 1] = prev;
+  for (let i = start + period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    result[i] = prev;
+  }
+  return result;
+}
+
+// Relative strength index, 0..100, with Wilder's smoothing. The first
+// value needs `period` changes, so it lands at index `period`.
+export function rsi(values, period = 14) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  const toRsi = (gain, loss) => {
+    if (loss === 0) return gain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + gain / loss);
+  };
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) gain += change;
+    else loss -= change;
+  }
+  gain /= period;
+  loss /= period;
+  result[period] = toRsi(gain, loss);
+
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi(gain, loss);
+  }
+  return result;
+}
+
+// { macd, signal, histogram }: the fast EMA minus the slow one, the EMA of
+// that line, and the gap between the two
+export function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, i) => (signal[i] === null ? null : value - signal[i]));
+  return { macd: line, signal, histogram };
+}
+
+// { middle, upper, lower }: the SMA plus and minus `width` (population)
+// standard deviations of the same window
+export function bollinger(values, period = 20, width = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  middle.forEach((mean, i) => {
+    if (mean === null) return;
+    const window = values.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * width;
+    upper[i] = mean + deviation;
+    lower[i] = mean - deviation;
+  });
+  return { middle, upper, lower };
+}
+
+function latest(series) {
+  const value = series[series.length - 1];
+  return value === undefined ? null : value;
+}
+
+function movingAverageSignal(id, label, average, price) {
+  if (average === null) return null;
+  const above = price >= average;
+  return { id, label: (above ? 'Above ' : 'Below ') + label, tone: above ? 'positive' : 'negative' };
+}
+
+// ---------------------------------------------------------------------------
+// Card badges for the selected indicators, as [{ id, label, tone }] in
+// INDICATOR_OPTIONS order. closes is the daily series; price (the live quote
+// when there is one) is what gets compared against the averages and bands.
+// tone is positive | negative | neutral | extreme (overbought, oversold, or
+// outside the bands). Indicators without enough history are left out.
+// ---------------------------------------------------------------------------
+export function indicatorSignals(closes, selected, price = closes[closes.length - 1]) {
+  const signals = {
+    sma20: () => movingAverageSignal('sma20', '20-day SMA', latest(sma(closes, 20)), price),
+    sma50: () => movingAverageSignal('sma50', '50-day SMA', latest(sma(closes, 50)), price),
+    ema20: () => movingAverageSignal('ema20', '20-day EMA', latest(ema(closes, 20)), price),
+    rsi: () => {
+      const value = latest(rsi(closes));
+      if (value === null) return null;
+      const rounded = Math.round(value);
+      if (value >= RSI_OVERBOUGHT) return { id: 'rsi', label: 'RSI ' + rounded + ' overbought', tone: 'extreme' };
+      if (value <= RSI_OVERSOLD) return { id: 'rsi', label: 'RSI ' + rounded + ' oversold', tone: 'extreme' };
+      return { id: 'rsi', label: 'RSI ' + rounded, tone: 'neutral' };
+    },
+    macd: () => {
+      const { histogram } = macd(closes);
+      const value = latest(histogram);
+      if (value === null) return null;
+      return value >= 0
+        ? { id: 'macd', label: 'MACD bullish', tone: 'positive' }
+        : { id: 'macd', label: 'MACD bearish', tone: 'negative' };
+    },
+    bollinger: () => {
+      const { upper, lower } = bollinger(closes);
+      if (latest(upper) === null) return null;
+      if (price > latest(upper)) return { id: 'bollinger', label: 'Above upper Bollinger band', tone: 'extreme' };
+      if (price < latest(lower)) return { id: 'bollinger', label: 'Below lower Bollinger band', tone: 'extreme' };
+      return { id: 'bollinger', label: 'Inside Bollinger bands', tone: 'neutral' };
+    },
+  };
+
+  return INDICATOR_OPTIONS.filter((option) => selected.includes(option.value))
+    .map((option) => signals[option.value]())
+    .filter(Boolean);
+}
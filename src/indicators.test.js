@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { sma, ema, rsi, macd, bollinger, indicatorSignals } from './indicators';
+
+// 1, 2, ... n
+const ramp = (n) => Array.from({ length: n }, (_, i) => i + 1);
+
+describe('Technical indicators', () => {
+  it('should compute moving averages aligned with their input', () => {
+    expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+    // Seeded with the SMA of the first three, then weighted 2 / (3 + 1)
+    expect(ema([2, 4, 6, 8, 12], 3)).toEqual([null, null, 4, 6, 9]);
+    expect(ema([null, null, 2, 4, 6, 8], 3)).toEqual([null, null, null, null, 4, 6]);
+    expect(sma([1, 2], 3)).toEqual([null, null]);
+  });
+
+  it('should smooth RSI the Wilder way', () => {
+    expect(rsi([10, 11, 10, 11], 2)).toEqual([null, null, 50, 75]);
+    expect(rsi(ramp(20)).slice(13)).toEqual([null, 100, 100, 100, 100, 100, 100]);
+    expect(rsi(new Array(20).fill(5))[19]).toBe(50);
+  });
+
+  it('should build MACD and Bollinger Bands', () => {
+    const flat = macd(new Array(40).fill(10));
+    expect(flat.macd[24]).toBeNull();
+    expect(flat.macd[25]).toBe(0);
+    expect(flat.signal[32]).toBeNull();
+    expect(flat.histogram[33]).toBe(0);
+
+    const bands = bollinger([1, 2, 3, 4, 5], 5, 2);
+    expect(bands.middle[4]).toBe(3);
+    expect(bands.upper[4]).toBeCloseTo(3 + 2 * Math.SQRT2);
+    expect(bands.lower[4]).toBeCloseTo(3 - 2 * Math.SQRT2);
+    expect(bands.upper[3]).toBeNull();
+  });
+
+  it('should turn the selected indicators into card badges', () => {
+    // Accelerating gains: above its average, overbought, MACD pulling away
+    const closes = ramp(60).map((n) => n * n);
+    expect(indicatorSignals(closes, ['rsi', 'sma50', 'macd'])).toEqual([
+      { id: 'sma50', label: 'Above 50-day SMA', tone: 'positive' },
+      { id: 'rsi', label: 'RSI 100 overbought', tone: 'extreme' },
+      { id: 'macd', label: 'MACD bullish', tone: 'positive' },
+    ]);
+    // The live price can sit on the other side of an average
+    expect(indicatorSignals(closes, ['sma20', 'bollinger'], 1000)).toEqual([
+      { id: 'sma20', label: 'Below 20-day SMA', tone: 'negative' },
+      { id: 'bollinger', label: 'Below lower Bollinger band', tone: 'extreme' },
+    ]);
+    // Too little history for a 50-day average
+    expect(indicatorSignals(ramp(30), ['sma50'])).toEqual([]);
+  });
+});
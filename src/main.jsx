@@ -1,10 +1,25 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { migrateStorage, loadDisplaySettings } from './watchlistStorage';
+import { applyTheme } from './theme';
 import './App.css';
 
+// Upgrade saved data before anything reads it
+migrateStorage();
+// Theme attributes go on before the first paint, so a dark theme doesn't flash
+applyTheme(loadDisplaySettings());
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
 );
+
+// Cache the app shell for offline use. Production only — in development the
+// worker would serve stale modules over Vite's hot reload.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js');
+  });
+}
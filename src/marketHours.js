@@ -0,0 +1,136 @@
+// ---------------------------------------------------------------------------
+// US equity market hours (NYSE / Nasdaq regular session).
+// 9:30–16:00 America/New_York, Monday–Friday, closed on exchange holidays.
+// Early closes (e.g. the day after Thanksgiving) are treated as full days.
+// ---------------------------------------------------------------------------
+
+const MARKET_TIME_ZONE = 'America/New_York';
+const OPEN_MINUTE = 9 * 60 + 30;
+const CLOSE_MINUTE = 16 * 60;
+
+const easternFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+});
+
+// Wall-clock date/time in New York, regardless of the browser's time zone
+function easternParts(date) {
+  const parts = {};
+  easternFormatter.formatToParts(date).forEach((p) => {
+    parts[p.type] = p.value;
+  });
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  return {
+    isoDate: parts.year + '-' + parts.month + '-' + parts.day,
+    year,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+    minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Holiday calendar helpers (all dates built in UTC to avoid DST surprises)
+// ---------------------------------------------------------------------------
+function utcDate(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day));
+}
+
+function addDays(date, days) {
+  return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// n-th given weekday of a month, e.g. 3rd Monday of January
+function nthWeekday(year, monthIndex, weekday, n) {
+  const first = utcDate(year, monthIndex, 1);
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return utcDate(year, monthIndex, 1 + offset + (n - 1) * 7);
+}
+
+function lastWeekday(year, monthIndex, weekday) {
+  const last = utcDate(year, monthIndex + 1, 0);
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return addDays(last, -offset);
+}
+
+// Saturday holidays move to Friday, Sunday holidays to Monday
+function observed(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return addDays(date, -1);
+  if (weekday === 0) return addDays(date, 1);
+  return date;
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month - 1, day);
+}
+
+const holidayCache = {};
+
+function marketHolidays(year) {
+  if (holidayCache[year]) return holidayCache[year];
+
+  const holidays = [
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Washington's Birthday
+    addDays(easterSunday(year), -2), // Good Friday
+    lastWeekday(year, 4, 1), // Memorial Day
+    observed(utcDate(year, 6, 4)), // Independence Day
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving
+    observed(utcDate(year, 11, 25)), // Christmas
+  ];
+  // New Year's Day on a Saturday is not observed on the previous Friday
+  const newYear = utcDate(year, 0, 1);
+  if (newYear.getUTCDay() !== 6) holidays.push(observed(newYear));
+  if (year >= 2022) holidays.push(observed(utcDate(year, 5, 19))); // Juneteenth
+
+  holidayCache[year] = new Set(holidays.map(toISODate));
+  return holidayCache[year];
+}
+
+// ---------------------------------------------------------------------------
+// Public helpers
+// ---------------------------------------------------------------------------
+export function isMarketHoliday(date = new Date()) {
+  const { isoDate, year } = easternParts(date);
+  return marketHolidays(year).has(isoDate);
+}
+
+// Today's date in New York ("2025-01-31") — what a current quote's latest
+// trading day reads once the session has opened
+export function marketDate(date = new Date()) {
+  return easternParts(date).isoDate;
+}
+
+export function isMarketOpen(date = new Date()) {
+  const { isoDate, year, weekday, minuteOfDay } = easternParts(date);
+  if (weekday === 0 || weekday === 6) return false;
+  if (marketHolidays(year).has(isoDate)) return false;
+  return minuteOfDay >= OPEN_MINUTE && minuteOfDay < CLOSE_MINUTE;
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { isMarketOpen, isMarketHoliday, marketDate } from './marketHours';
+
+describe('Market hours', () => {
+  it('should be open during the regular session on a weekday', () => {
+    // Tue 14 Jan 2025, 10:00 New York (EST = UTC-5)
+    expect(isMarketOpen(new Date('2025-01-14T15:00:00Z'))).toBe(true);
+  });
+
+  it('should be closed before the open, after the close and on weekends', () => {
+    expect(isMarketOpen(new Date('2025-01-14T14:29:00Z'))).toBe(false); // 9:29
+    expect(isMarketOpen(new Date('2025-01-14T21:00:00Z'))).toBe(false); // 16:00
+    expect(isMarketOpen(new Date('2025-01-18T15:00:00Z'))).toBe(false); // Saturday
+  });
+
+  it('should follow daylight saving time in New York', () => {
+    // Mon 14 Jul 2025, 9:45 New York (EDT = UTC-4)
+    expect(isMarketOpen(new Date('2025-07-14T13:45:00Z'))).toBe(true);
+    // 22:30 on the 14th in New York is already the 15th in UTC
+    expect(marketDate(new Date('2025-07-15T02:30:00Z'))).toBe('2025-07-14');
+  });
+
+  it('should be closed on exchange holidays, including observed and moving ones', () => {
+    expect(isMarketHoliday(new Date('2025-04-18T15:00:00Z'))).toBe(true); // Good Friday
+    expect(isMarketHoliday(new Date('2025-11-27T15:00:00Z'))).toBe(true); // Thanksgiving
+    expect(isMarketHoliday(new Date('2026-07-03T15:00:00Z'))).toBe(true); // July 4th observed
+    expect(isMarketOpen(new Date('2025-01-20T15:00:00Z'))).toBe(false); // MLK Day
+    expect(isMarketHoliday(new Date('2025-01-14T15:00:00Z'))).toBe(false);
+  });
+});
@@ -0,0 +1,280 @@
+import { NotFoundError } from './apiErrors';
+import { listingCurrency } from './currency';
+import { BUNDLED_LISTING } from './symbolDirectory';
+
+// ---------------------------------------------------------------------------
+// Mock quote provider — deterministic, offline, no API key required.
+// Select it with VITE_QUOTE_PROVIDER=mock.
+// ---------------------------------------------------------------------------
+
+// Shorthand for the listing details every search result carries
+const US_EQUITY = { type: 'Equity', region: 'United States', marketOpen: '09:30', marketClose: '16:00', timezone: 'UTC-04', currency: 'USD' };
+const US_ETF = { ...US_EQUITY, type: 'ETF' };
+const US_FUND = { ...US_EQUITY, type: 'Mutual Fund' };
+const XETRA_EQUITY = { type: 'Equity', region: 'XETRA', marketOpen: '08:00', marketClose: '20:00', timezone: 'UTC+02', currency: 'EUR' };
+
+const MOCK_SEARCH_DATA = {
+  aapl: [
+    { symbol: 'AAPL', name: 'Apple Inc', ...US_EQUITY, matchScore: 1 },
+    { symbol: 'AAPLX', name: 'Apple Hospitality REIT', ...US_EQUITY, matchScore: 0.8 },
+    { symbol: 'APC.DEX', name: 'Apple Inc', ...XETRA_EQUITY, matchScore: 0.55 },
+  ],
+  googl: [{ symbol: 'GOOGL', name: 'Alphabet Inc - Class A', ...US_EQUITY, matchScore: 1 }],
+  msft: [
+    { symbol: 'MSFT', name: 'Microsoft Corp', ...US_EQUITY, matchScore: 1 },
+    { symbol: 'MSF.DEX', name: 'Microsoft Corp', ...XETRA_EQUITY, matchScore: 0.6 },
+  ],
+  tsla: [
+    { symbol: 'TSLA', name: 'Tesla Inc', ...US_EQUITY, matchScore: 1 },
+    { symbol: 'TL0.DEX', name: 'Tesla Inc', ...XETRA_EQUITY, matchScore: 0.6 },
+  ],
+  amzn: [{ symbol: 'AMZN', name: 'Amazon.com Inc', ...US_EQUITY, matchScore: 1 }],
+  nvda: [{ symbol: 'NVDA', name: 'NVIDIA Corp', ...US_EQUITY, matchScore: 1 }],
+  meta: [{ symbol: 'META', name: 'Meta Platforms Inc', ...US_EQUITY, matchScore: 1 }],
+  spy: [{ symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust', ...US_ETF, matchScore: 1 }],
+  qqq: [{ symbol: 'QQQ', name: 'Invesco QQQ Trust Series 1', ...US_ETF, matchScore: 1 }],
+  vfiax: [{ symbol: 'VFIAX', name: 'Vanguard 500 Index Fund Admiral Shares', ...US_FUND, matchScore: 1 }],
+};
+
+// Quotes for the well-known symbols; prices in USD, changePct in percent
+const MOCK_QUOTE_DATA = {
+  AAPL:  { price: 228.87, change: 2.45,  changePct: 1.08 },
+  GOOGL: { price: 189.25, change: -1.30, changePct: -0.68 },
+  MSFT:  { price: 409.18, change: 5.20,  changePct: 1.29 },
+  TSLA:  { price: 350.40, change: -8.75, changePct: -2.44 },
+  AMZN:  { price: 229.10, change: 3.60,  changePct: 1.60 },
+  NVDA:  { price: 132.65, change: 1.90,  changePct: 1.45 },
+  META:  { price: 612.00, change: -4.10, changePct: -0.67 },
+  SPY:   { price: 601.82, change: 3.15,  changePct: 0.53 },
+  QQQ:   { price: 522.29, change: 4.80,  changePct: 0.93 },
+};
+
+// US dollars per unit of each currency
+const MOCK_USD_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  JPY: 0.0067,
+  CAD: 0.73,
+  INR: 0.012,
+  CNY: 0.14,
+};
+
+// Company fundamentals, in the shape overview() returns (minus symbol)
+const MOCK_OVERVIEW_DATA = {
+  AAPL: {
+    name: 'Apple Inc',
+    description: 'Apple designs, manufactures and markets smartphones, personal computers, tablets, wearables and accessories, and sells a range of related services.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Technology', industry: 'Electronic Computers',
+    marketCap: 3440000000000, peRatio: 37.6, week52High: 259.81, week52Low: 163.49, dividendYield: 0.0044,
+  },
+  GOOGL: {
+    name: 'Alphabet Inc',
+    description: 'Alphabet is the holding company of Google, whose search, advertising, cloud and YouTube businesses make up most of its revenue.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Technology', industry: 'Services-Computer Programming',
+    marketCap: 2330000000000, peRatio: 25.1, week52High: 207.05, week52Low: 130.67, dividendYield: 0.0042,
+  },
+  MSFT: {
+    name: 'Microsoft Corporation',
+    description: 'Microsoft develops and supports software, services, devices and solutions, including Windows, Office, Azure and Xbox.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Technology', industry: 'Services-Prepackaged Software',
+    marketCap: 3040000000000, peRatio: 33.8, week52High: 468.35, week52Low: 385.58, dividendYield: 0.0081,
+  },
+  TSLA: {
+    name: 'Tesla Inc',
+    description: 'Tesla designs, develops, manufactures and sells electric vehicles and energy generation and storage systems.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Manufacturing', industry: 'Motor Vehicles & Passenger Car Bodies',
+    marketCap: 1130000000000, peRatio: 172.3, week52High: 488.54, week52Low: 138.8, dividendYield: null,
+  },
+  AMZN: {
+    name: 'Amazon.com Inc',
+    description: 'Amazon sells consumer products and subscriptions through online and physical stores, and provides cloud computing through AWS.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Trade & Services', industry: 'Retail-Catalog & Mail-Order Houses',
+    marketCap: 2410000000000, peRatio: 49.0, week52High: 242.52, week52Low: 151.61, dividendYield: null,
+  },
+  NVDA: {
+    name: 'NVIDIA Corporation',
+    description: 'NVIDIA designs graphics processors and system-on-chip units for gaming, data centres, professional visualisation and automotive markets.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Manufacturing', industry: 'Semiconductors & Related Devices',
+    marketCap: 3250000000000, peRatio: 52.4, week52High: 153.13, week52Low: 60.7, dividendYield: 0.0003,
+  },
+  META: {
+    name: 'Meta Platforms Inc',
+    description: 'Meta builds technologies that help people connect, including Facebook, Instagram, Messenger and WhatsApp, and virtual reality devices.',
+    exchange: 'NASDAQ', currency: 'USD', sector: 'Technology', industry: 'Services-Computer Programming',
+    marketCap: 1550000000000, peRatio: 28.9, week52High: 638.4, week52Low: 390.2, dividendYield: 0.0033,
+  },
+};
+
+// Headline templates for news(); "{name}" is the company (or the symbol)
+const MOCK_NEWS = [
+  { title: '{name} shares rise after earnings beat expectations', source: 'Market Wire', sentiment: 'Bullish', hoursAgo: 3 },
+  { title: 'Analysts split on {name} outlook for the year ahead', source: 'Finance Daily', sentiment: 'Neutral', hoursAgo: 20 },
+  { title: 'What higher rates could mean for {name}', source: 'Investor Briefing', sentiment: 'Somewhat-Bearish', hoursAgo: 44 },
+  { title: '{name} expands buyback programme', source: 'Market Wire', sentiment: 'Somewhat-Bullish', hoursAgo: 70 },
+];
+
+// Fixed "today" (a Friday) for generated history so the series never drift
+// between runs
+const MOCK_HISTORY_END = Date.UTC(2025, 0, 31);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIVE_MINUTES_MS = 5 * 60 * 1000;
+
+// Point count and typical move per bar for each history interval
+const MOCK_SERIES = {
+  intraday: { count: 78, volatility: 0.003 }, // one session of 5-minute bars
+  daily: { count: 100, volatility: 0.02 },
+  weekly: { count: 260, volatility: 0.04 }, // five years
+};
+
+// ---------------------------------------------------------------------------
+// Seeded random numbers — same symbol always produces the same series
+// ---------------------------------------------------------------------------
+function hashSymbol(symbol) {
+  let hash = 0;
+  for (let i = 0; i < symbol.length; i++) {
+    hash = (hash * 31 + symbol.charCodeAt(i)) >>> 0;
+  }
+  return hash || 1;
+}
+
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    // mulberry32
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function toISODate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function isWeekend(ms) {
+  const weekday = new Date(ms).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+// Bar labels in Alpha Vantage's format, newest first
+function seriesDates(interval) {
+  const { count } = MOCK_SERIES[interval];
+  const dates = [];
+
+  if (interval === 'intraday') {
+    // 16:00 back to 09:35 New York time, labelled as wall-clock time
+    const close = MOCK_HISTORY_END + 16 * 60 * 60 * 1000;
+    for (let i = 0; i < count; i++) {
+      dates.push(new Date(close - i * FIVE_MINUTES_MS).toISOString().slice(0, 19).replace('T', ' '));
+    }
+    return dates;
+  }
+
+  const step = interval === 'weekly' ? 7 * DAY_MS : DAY_MS;
+  for (let day = MOCK_HISTORY_END; dates.length < count; day -= step) {
+    if (!isWeekend(day)) dates.push(toISODate(day));
+  }
+  return dates;
+}
+
+// ---------------------------------------------------------------------------
+// Provider methods
+// ---------------------------------------------------------------------------
+async function search(keyword) {
+  const key = keyword.toLowerCase();
+  // Check for exact match first, then check if any mock key starts with the input
+  if (MOCK_SEARCH_DATA[key]) return MOCK_SEARCH_DATA[key];
+  const partial = Object.keys(MOCK_SEARCH_DATA).find((k) => k.startsWith(key));
+  if (partial) return MOCK_SEARCH_DATA[partial];
+  throw new NotFoundError();
+}
+
+// The session's open, high, low and volume are made up around the price,
+// the same way every time for a given symbol
+async function quote(symbol) {
+  const { currency } = listingCurrency(symbol);
+  // If the symbol isn't in our mock list, return a generic placeholder
+  const { price, change, changePct } = MOCK_QUOTE_DATA[symbol] || { price: 100, change: 0.5, changePct: 0.5 };
+
+  const random = seededRandom(hashSymbol(symbol + ':quote'));
+  const previousClose = price - change;
+  const open = previousClose * (1 + (random() - 0.5) * 0.01);
+  const round = (value) => Number(value.toFixed(2));
+  return {
+    price,
+    change,
+    changePct,
+    currency,
+    open: round(open),
+    high: round(Math.max(open, price) * (1 + random() * 0.008)),
+    low: round(Math.min(open, price) * (1 - random() * 0.008)),
+    volume: Math.round(5e6 + random() * 9e7),
+    previousClose: round(previousClose),
+    latestTradingDay: toISODate(MOCK_HISTORY_END),
+  };
+}
+
+// Closes for the requested interval, oldest first, walking backwards from
+// the mock quote price
+async function history(symbol, interval = 'daily') {
+  if (!MOCK_SERIES[interval]) throw new Error('Unknown history interval: ' + interval);
+
+  const random = seededRandom(hashSymbol(symbol + ':' + interval));
+  const { volatility } = MOCK_SERIES[interval];
+  const { price } = await quote(symbol);
+
+  let close = price;
+  const points = seriesDates(interval).map((date) => {
+    const point = { date, close: Number(close.toFixed(2)) };
+    close = close / (1 + (random() - 0.5) * 2 * volatility);
+    return point;
+  });
+  return points.reverse();
+}
+
+// Company profile. Like Alpha Vantage, funds and unknown symbols have none.
+async function overview(symbol) {
+  if (!MOCK_OVERVIEW_DATA[symbol]) throw new NotFoundError();
+  return { symbol, ...MOCK_OVERVIEW_DATA[symbol] };
+}
+
+// The same few headlines for every symbol, dated back from MOCK_HISTORY_END
+async function news(symbol) {
+  const name = MOCK_OVERVIEW_DATA[symbol] ? MOCK_OVERVIEW_DATA[symbol].name : symbol;
+  const close = MOCK_HISTORY_END + 21 * 60 * 60 * 1000; // 16:00 New York
+  return MOCK_NEWS.map((item, i) => ({
+    title: item.title.replace('{name}', name),
+    url: 'https://example.com/news/' + symbol.toLowerCase() + '-' + (i + 1),
+    source: item.source,
+    publishedAt: new Date(close - item.hoursAgo * 60 * 60 * 1000).toISOString().slice(0, 19),
+    summary: '',
+    sentiment: item.sentiment,
+  }));
+}
+
+// Cross rates go through USD
+async function exchangeRate(from, to) {
+  if (!MOCK_USD_RATES[from] || !MOCK_USD_RATES[to]) throw new NotFoundError('Unknown currency.');
+  return MOCK_USD_RATES[from] / MOCK_USD_RATES[to];
+}
+
+// The listing bundled with the app stands in for the full directory
+async function listing() {
+  return BUNDLED_LISTING;
+}
+
+const mockProvider = {
+  name: 'mock',
+  search,
+  quote,
+  history,
+  overview,
+  news,
+  exchangeRate,
+  listing,
+};
+
+export default mockProvider;
@@ -0,0 +1,42 @@
+// ---------------------------------------------------------------------------
+// Daily performance of a watchlist, from the quotes already in stockData —
+// nothing here calls the API. changePct is in percent points (1.08).
+// ---------------------------------------------------------------------------
+
+// A move this large (either way) gets the heatmap's strongest colour
+export const HEATMAP_FULL_SCALE_PCT = 3;
+
+// Gainers and losers listed in the dashboard
+export const TOP_MOVERS = 3;
+
+// { priced, unpriced, average, best, worst, gainers, losers } where best,
+// worst and the mover lists hold { symbol, changePct }. Symbols still
+// waiting for a quote are only counted; with none priced, average, best
+// and worst are null.
+export function summarizePerformance(symbols, stockData, topCount = TOP_MOVERS) {
+  const moves = symbols
+    .filter((symbol) => Number.isFinite(stockData[symbol]?.changePct))
+    .map((symbol) => ({ symbol, changePct: stockData[symbol].changePct }));
+
+  const byChange = [...moves].sort((a, b) => b.changePct - a.changePct);
+  const total = moves.reduce((sum, move) => sum + move.changePct, 0);
+
+  return {
+    priced: moves.length,
+    unpriced: symbols.length - moves.length,
+    average: moves.length > 0 ? total / moves.length : null,
+    best: byChange[0] || null,
+    worst: byChange[byChange.length - 1] || null,
+    gainers: byChange.filter((move) => move.changePct > 0).slice(0, topCount),
+    losers: byChange
+      .filter((move) => move.changePct < 0)
+      .reverse()
+      .slice(0, topCount),
+  };
+}
+
+// 0..1 colour strength of a heatmap tile
+export function heatStrength(changePct) {
+  if (!Number.isFinite(changePct)) return 0;
+  return Math.min(Math.abs(changePct) / HEATMAP_FULL_SCALE_PCT, 1);
+}
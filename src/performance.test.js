@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { summarizePerformance, heatStrength } from './performance';
+
+const stockData = {
+  AAPL: { price: 228.87, changePct: 1.08 },
+  MSFT: { price: 415.1, changePct: -0.6 },
+  NVDA: { price: 120.07, changePct: 3.2 },
+  TSLA: { price: 404.6, changePct: -2.1 },
+  SPY: { loading: true },
+};
+
+describe('Watchlist performance', () => {
+  it('should average the priced symbols and pick the best, worst and top movers', () => {
+    const stats = summarizePerformance(['AAPL', 'MSFT', 'NVDA', 'TSLA', 'SPY'], stockData, 2);
+
+    expect(stats).toMatchObject({ priced: 4, unpriced: 1 });
+    expect(stats.average).toBeCloseTo(0.395);
+    expect(stats.best).toEqual({ symbol: 'NVDA', changePct: 3.2 });
+    expect(stats.worst).toEqual({ symbol: 'TSLA', changePct: -2.1 });
+    expect(stats.gainers.map((m) => m.symbol)).toEqual(['NVDA', 'AAPL']);
+    expect(stats.losers.map((m) => m.symbol)).toEqual(['TSLA', 'MSFT']);
+  });
+
+  it('should have nothing to report before any quote arrives, and cap the heat', () => {
+    expect(summarizePerformance(['SPY'], stockData)).toMatchObject({ priced: 0, average: null, best: null, gainers: [] });
+    expect(heatStrength(-1.5)).toBe(0.5);
+    expect(heatStrength(8)).toBe(1);
+    expect(heatStrength(undefined)).toBe(0);
+  });
+});
@@ -0,0 +1,61 @@
+// ---------------------------------------------------------------------------
+// Portfolio math. holdings: { AAPL: [{ id, shares, price, date }, ...] }
+// where price is the purchase price per share. Current prices come from
+// stockData, so nothing here ever calls the API.
+// ---------------------------------------------------------------------------
+
+export function createLotId() {
+  return 'lot-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Totals for one symbol's lots. marketValue/gain are null until we have a
+// current price for the symbol.
+export function summarizePosition(lots, price) {
+  const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  const costBasis = lots.reduce((sum, lot) => sum + lot.shares * lot.price, 0);
+
+  if (!Number.isFinite(price)) {
+    return { shares, costBasis, marketValue: null, gain: null, gainPct: null };
+  }
+  const marketValue = shares * price;
+  const gain = marketValue - costBasis;
+  return {
+    shares,
+    costBasis,
+    marketValue,
+    gain,
+    gainPct: costBasis > 0 ? (gain / costBasis) * 100 : 0,
+  };
+}
+
+// Totals across the given symbols, in a single currency. Positions still
+// waiting for a price are left out of the sums and counted in `unpriced`;
+// convert(value, currency) returns null for a position it can't express in
+// the totals' currency, which is counted in `unconverted`.
+export function summarizePortfolio(symbols, holdings, stockData, convert = (value) => value) {
+  const totals = { positions: 0, unpriced: 0, unconverted: 0, costBasis: 0, marketValue: 0, gain: 0, gainPct: 0 };
+
+  symbols.forEach((symbol) => {
+    const lots = holdings[symbol];
+    if (!lots || lots.length === 0) return;
+
+    totals.positions += 1;
+    const position = summarizePosition(lots, stockData[symbol]?.price);
+    if (position.marketValue === null) {
+      totals.unpriced += 1;
+      return;
+    }
+    const currency = stockData[symbol].currency || 'USD';
+    const marketValue = convert(position.marketValue, currency);
+    if (marketValue === null) {
+      totals.unconverted += 1;
+      return;
+    }
+    totals.costBasis += convert(position.costBasis, currency);
+    totals.marketValue += marketValue;
+    totals.gain += convert(position.gain, currency);
+  });
+
+  if (totals.costBasis > 0) totals.gainPct = (totals.gain / totals.costBasis) * 100;
+  return totals;
+}
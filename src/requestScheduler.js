@@ -0,0 +1,142 @@
+import { RateLimitError } from './apiErrors';
+
+// ---------------------------------------------------------------------------
+// Request scheduler — keeps outgoing API calls inside a per-minute and
+// per-day budget. Calls over the minute budget wait in a FIFO queue; calls
+// over the day budget are rejected with a RateLimitError. The day count is
+// persisted so a reload doesn't hand out a fresh allowance.
+// ---------------------------------------------------------------------------
+
+const MINUTE_MS = 60 * 1000;
+
+export const DAILY_LIMIT_MESSAGE = 'Daily request limit reached. Try again tomorrow.';
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// The day budget resets at UTC midnight, matching today()
+export function msUntilTomorrow(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime() - now;
+}
+
+export function abortError() {
+  return new DOMException('The request was aborted.', 'AbortError');
+}
+
+export function createRequestScheduler({ perMinute = Infinity, perDay = Infinity, storageKey = null } = {}) {
+  let minuteLog = []; // timestamps of calls started in the last minute
+  let dayUsage = loadDayUsage();
+  let timer = null;
+  const queue = [];
+  const listeners = new Set();
+
+  function loadDayUsage() {
+    if (storageKey) {
+      try {
+        const saved = JSON.parse(localStorage.getItem(storageKey));
+        if (saved && saved.date === today()) return saved;
+      } catch {
+        // Corrupt entry — start the day over
+      }
+    }
+    return { date: today(), count: 0 };
+  }
+
+  function saveDayUsage() {
+    if (storageKey) localStorage.setItem(storageKey, JSON.stringify(dayUsage));
+  }
+
+  // Drop minute entries older than 60s and roll the day counter over. The
+  // day count is re-read too: other open tabs spend the same allowance.
+  function prune(now) {
+    minuteLog = minuteLog.filter((t) => now - t < MINUTE_MS);
+    const saved = loadDayUsage();
+    if (saved.date !== dayUsage.date || saved.count > dayUsage.count) dayUsage = saved;
+  }
+
+  function getQuota() {
+    prune(Date.now());
+    return {
+      perMinute,
+      perDay,
+      minuteRemaining: Math.max(0, perMinute - minuteLog.length),
+      dayRemaining: Math.max(0, perDay - dayUsage.count),
+      queued: queue.length,
+    };
+  }
+
+  function notify() {
+    const quota = getQuota();
+    listeners.forEach((listener) => listener(quota));
+  }
+
+  // Start as many queued jobs as the budget allows, then wake up again when
+  // the oldest call in the minute window expires.
+  function pump() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+
+    const now = Date.now();
+    prune(now);
+
+    while (queue.length > 0) {
+      if (dayUsage.count >= perDay) {
+        queue.shift().reject(new RateLimitError(DAILY_LIMIT_MESSAGE, { retryAfterMs: msUntilTomorrow(now) }));
+        continue;
+      }
+      if (minuteLog.length >= perMinute) break;
+
+      const job = queue.shift();
+      minuteLog.push(now);
+      dayUsage.count += 1;
+      saveDayUsage();
+      job.start();
+    }
+
+    if (minuteLog.length > 0) {
+      timer = setTimeout(pump, minuteLog[0] + MINUTE_MS - now);
+    }
+    notify();
+  }
+
+  // Queue task() to run when the budget allows. An aborted signal drops the
+  // job from the queue before it spends any budget.
+  function schedule(task, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+
+      const job = {
+        start: () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          Promise.resolve().then(task).then(resolve, reject);
+        },
+        reject,
+      };
+
+      function onAbort() {
+        const index = queue.indexOf(job);
+        if (index === -1) return;
+        queue.splice(index, 1);
+        reject(abortError());
+        notify();
+      }
+
+      if (signal) signal.addEventListener('abort', onAbort);
+      queue.push(job);
+      pump();
+    });
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { schedule, getQuota, subscribe };
+}
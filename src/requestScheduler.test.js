@@ -0,0 +1,57 @@
+import { vi, describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequestScheduler, DAILY_LIMIT_MESSAGE } from './requestScheduler';
+
+beforeEach(() => {
+  localStorage.clear();
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Request scheduler', () => {
+  it('should queue calls over the per-minute budget until the window frees up', async () => {
+    const scheduler = createRequestScheduler({ perMinute: 2, perDay: 10 });
+    const task = vi.fn().mockResolvedValue('ok');
+
+    scheduler.schedule(task);
+    scheduler.schedule(task);
+    const third = scheduler.schedule(task);
+    await vi.advanceTimersByTimeAsync(0);
+
+    // Only two calls fit in the first minute
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(scheduler.getQuota()).toMatchObject({ minuteRemaining: 0, dayRemaining: 8, queued: 1 });
+
+    // A minute later the queued call goes out
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(task).toHaveBeenCalledTimes(3);
+    await expect(third).resolves.toBe('ok');
+  });
+
+  it('should reject calls once the daily budget is spent and remember it across instances', async () => {
+    const first = createRequestScheduler({ perMinute: 5, perDay: 1, storageKey: 'usage' });
+    await first.schedule(() => Promise.resolve('ok'));
+
+    // Simulates a page reload — the day count comes back from localStorage
+    const second = createRequestScheduler({ perMinute: 5, perDay: 1, storageKey: 'usage' });
+    expect(second.getQuota().dayRemaining).toBe(0);
+    await expect(second.schedule(() => Promise.resolve('ok'))).rejects.toThrow(DAILY_LIMIT_MESSAGE);
+  });
+
+  it('should drop a queued call without spending budget when its signal aborts', async () => {
+    const scheduler = createRequestScheduler({ perMinute: 1, perDay: 10 });
+    const task = vi.fn().mockResolvedValue('ok');
+    const controller = new AbortController();
+
+    scheduler.schedule(task);
+    const queued = scheduler.schedule(task, controller.signal);
+    controller.abort();
+
+    await expect(queued).rejects.toHaveProperty('name', 'AbortError');
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.getQuota().dayRemaining).toBe(9);
+  });
+});
@@ -0,0 +1,78 @@
+import { MAX_COMPARE_SYMBOLS } from './comparison';
+
+// ---------------------------------------------------------------------------
+// Hash routes, so a view can be bookmarked or shared without server setup:
+//   #/                  -> the watchlist (whichever list is active)
+//   #/list/<id>         -> one saved list
+//   #/symbol/AAPL       -> the watchlist with AAPL's detail panel open
+//   #/share?name=Tech&symbols=AAPL,MSFT
+//                       -> a list someone shared, offered for import
+//   #/compare?symbols=AAPL,MSFT&range=3M
+//                       -> the comparison chart for those symbols
+// Anything unrecognised, or malformed ("#/symbol/%E0"), falls back to the
+// watchlist.
+// ---------------------------------------------------------------------------
+
+export const WATCHLIST_PATH = '#/';
+
+export function parseRoute(hash = window.location.hash) {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?');
+  let parts;
+  try {
+    parts = path.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return { view: 'watchlist' };
+  }
+
+  if (parts[0] === 'symbol' && parts[1]) {
+    return { view: 'symbol', symbol: parts[1].toUpperCase() };
+  }
+  if (parts[0] === 'list' && parts[1]) {
+    return { view: 'list', listId: parts[1] };
+  }
+  if (parts[0] === 'compare') {
+    const params = new URLSearchParams(query);
+    const symbols = (params.get('symbols') || '').split(',').filter(Boolean).map((s) => s.toUpperCase());
+    // A crafted link can't make the chart spend more than the usual calls
+    return {
+      view: 'compare',
+      symbols: [...new Set(symbols)].slice(0, MAX_COMPARE_SYMBOLS),
+      range: params.get('range') || '',
+    };
+  }
+  if (parts[0] === 'share') {
+    const params = new URLSearchParams(query);
+    const symbols = (params.get('symbols') || '').split(',').filter(Boolean);
+    return { view: 'share', name: params.get('name') || '', symbols };
+  }
+  return { view: 'watchlist' };
+}
+
+export function symbolPath(symbol) {
+  return '#/symbol/' + encodeURIComponent(symbol);
+}
+
+export function listPath(id) {
+  return '#/list/' + encodeURIComponent(id);
+}
+
+// Commas are left readable: ...&symbols=AAPL,MSFT
+export function sharePath(name, symbols) {
+  const params = new URLSearchParams({ name, symbols: symbols.join(',') });
+  return '#/share?' + params.toString().replace(/%2C/g, ',');
+}
+
+export function comparePath(symbols, range) {
+  const params = new URLSearchParams({ symbols: symbols.join(','), range });
+  return '#/compare?' + params.toString().replace(/%2C/g, ',');
+}
+
+// Full link for sharing — this page's address with the share route
+export function shareUrl(name, symbols) {
+  return window.location.href.split('#')[0] + sharePath(name, symbols);
+}
+
+// Adds a history entry; the browser then fires 'hashchange'
+export function navigate(path) {
+  window.location.hash = path;
+}
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, sharePath, listPath, symbolPath, comparePath } from './routes';
+
+describe('Routes', () => {
+  it('should round-trip list, symbol and share paths', () => {
+    expect(parseRoute(listPath('list-abc'))).toEqual({ view: 'list', listId: 'list-abc' });
+    expect(parseRoute(symbolPath('brk.b'))).toEqual({ view: 'symbol', symbol: 'BRK.B' });
+    expect(sharePath('Tech & Co', ['AAPL', 'MSFT'])).toBe('#/share?name=Tech+%26+Co&symbols=AAPL,MSFT');
+    expect(parseRoute(sharePath('Tech & Co', ['AAPL', 'MSFT']))).toEqual({
+      view: 'share',
+      name: 'Tech & Co',
+      symbols: ['AAPL', 'MSFT'],
+    });
+    expect(comparePath(['AAPL', 'NVDA'], '3M')).toBe('#/compare?symbols=AAPL,NVDA&range=3M');
+    expect(parseRoute('#/compare?symbols=aapl,NVDA,AAPL&range=1Y')).toEqual({
+      view: 'compare',
+      symbols: ['AAPL', 'NVDA'],
+      range: '1Y',
+    });
+  });
+
+  it('should keep at most five symbols from a compare link', () => {
+    expect(parseRoute('#/compare?symbols=A,B,C,D,E,F,G&range=3M').symbols).toEqual(['A', 'B', 'C', 'D', 'E']);
+  });
+
+  it('should fall back to the watchlist for anything else', () => {
+    expect(parseRoute('')).toEqual({ view: 'watchlist' });
+    expect(parseRoute('#/')).toEqual({ view: 'watchlist' });
+    expect(parseRoute('#/nowhere/at/all')).toEqual({ view: 'watchlist' });
+    // A malformed escape must not throw
+    expect(parseRoute('#/symbol/%E0')).toEqual({ view: 'watchlist' });
+    expect(parseRoute('#/list/%')).toEqual({ view: 'watchlist' });
+  });
+});
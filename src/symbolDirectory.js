@@ -0,0 +1,169 @@
+import bundledCsv from './listingStatus.csv?raw';
+
+// ---------------------------------------------------------------------------
+// Local symbol directory, built from Alpha Vantage's LISTING_STATUS CSV
+// (symbol,name,exchange,assetType,ipoDate,delistingDate,status — every
+// active US listing). Searching it costs no API calls. A small copy of the
+// CSV ships with the app for offline use; the full one is fetched through
+// api.js and cached in localStorage under 'symbolDirectory'.
+// ---------------------------------------------------------------------------
+
+const STORAGE_KEY = 'symbolDirectory';
+
+// LISTING_STATUS only covers US exchanges
+const US_LISTING = { region: 'United States', currency: 'USD' };
+
+// Same type names as SYMBOL_SEARCH, so the search filters apply to both
+const ASSET_TYPES = { Stock: 'Equity', ETF: 'ETF' };
+
+// One CSV line, allowing "quoted, fields"
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+// CSV text -> [{ symbol, name, exchange, type }, ...], active listings only
+export function parseListingCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const header = splitCsvLine(lines[0] || '');
+  const column = (name) => header.indexOf(name);
+  const [symbolAt, nameAt, exchangeAt, typeAt, statusAt] = [
+    column('symbol'),
+    column('name'),
+    column('exchange'),
+    column('assetType'),
+    column('status'),
+  ];
+  if (symbolAt === -1 || nameAt === -1) return [];
+
+  return lines.slice(1).flatMap((line) => {
+    const cells = splitCsvLine(line);
+    if (!cells[symbolAt] || (statusAt !== -1 && cells[statusAt] !== 'Active')) return [];
+    return [
+      {
+        symbol: cells[symbolAt].trim().toUpperCase(),
+        name: (cells[nameAt] || '').trim(),
+        exchange: cells[exchangeAt] || null,
+        type: ASSET_TYPES[cells[typeAt]] || cells[typeAt] || null,
+      },
+    ];
+  });
+}
+
+export const BUNDLED_LISTING = parseListingCsv(bundledCsv);
+
+// ---------------------------------------------------------------------------
+// Fuzzy matching. Scores run from 1 (exact symbol) down to 0 (no match):
+// symbol prefix, then name prefix or word prefix, then the query inside the
+// name, then a one-letter typo in the symbol ("APPL"), then the query's
+// letters in order within a short stretch of the symbol or name.
+// ---------------------------------------------------------------------------
+
+// Edit distance of at most one (a swap of neighbours counts as one edit)
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i++;
+  if (i === a.length && i === b.length) return true;
+  const swapped = a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+  return (
+    swapped ||
+    a.slice(i + 1) === b.slice(i + 1) || // substitution
+    a.slice(i + 1) === b.slice(i) || // deletion
+    a.slice(i) === b.slice(i + 1) // insertion
+  );
+}
+
+// Length of the shortest stretch of text that starts on a word and holds
+// every letter of query in order, or Infinity
+function subsequenceSpan(query, text) {
+  let best = Infinity;
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== query[0] || (start > 0 && /\w/.test(text[start - 1]))) continue;
+    let q = 1;
+    let end = start + 1;
+    for (; end < text.length && q < query.length; end++) {
+      if (text[end] === query[q]) q++;
+    }
+    if (q === query.length) best = Math.min(best, end - start);
+  }
+  return best;
+}
+
+export function matchScore(query, entry) {
+  const q = query.trim().toUpperCase();
+  if (!q) return 0;
+  const symbol = entry.symbol;
+  const name = entry.name.toUpperCase();
+
+  if (symbol === q) return 1;
+  if (symbol.startsWith(q)) return Math.max(0.9 - 0.02 * (symbol.length - q.length), 0.75);
+  if (name.startsWith(q)) return 0.7;
+  if (name.split(/[\s\-&.,]+/).some((word) => word.startsWith(q))) return 0.65;
+  if (q.length >= 3 && name.includes(q)) return 0.6;
+  if (q.length >= 3 && withinOneEdit(q, symbol)) return 0.55;
+  if (q.length >= 3) {
+    const span = Math.min(subsequenceSpan(q, symbol), subsequenceSpan(q, name));
+    if (span <= q.length * 2) return 0.5 * (q.length / span);
+  }
+  return 0;
+}
+
+// Best matches first: higher score, then the shorter (more main-line) symbol
+export function searchListing(entries, query, limit = 10) {
+  return entries
+    .map((entry) => ({ entry, score: matchScore(query, entry) }))
+    .filter((match) => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.symbol.length - b.entry.symbol.length)
+    .slice(0, limit)
+    .map(({ entry, score }) => ({ ...entry, ...US_LISTING, matchScore: score }));
+}
+
+// ---------------------------------------------------------------------------
+// localStorage cache of the full listing: { fetchedAt, rows } with rows as
+// [symbol, name, exchange, type] to keep ~12,000 listings compact.
+// ---------------------------------------------------------------------------
+export function loadCachedListing(maxAgeMs) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || !Array.isArray(saved.rows) || !(Date.now() - saved.fetchedAt < maxAgeMs)) return null;
+    return saved.rows
+      .filter((row) => Array.isArray(row) && typeof row[0] === 'string' && typeof row[1] === 'string')
+      .map(([symbol, name, exchange, type]) => ({ symbol, name, exchange, type }));
+  } catch {
+    return null;
+  }
+}
+
+export function saveCachedListing(entries) {
+  const rows = entries.map((e) => [e.symbol, e.name, e.exchange, e.type]);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ fetchedAt: Date.now(), rows }));
+  } catch (err) {
+    // Quota exceeded — searching still works for this session
+    console.warn('[symbolDirectory] could not cache the listing: ' + err.message);
+  }
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseListingCsv,
+  searchListing,
+  matchScore,
+  BUNDLED_LISTING,
+  loadCachedListing,
+  saveCachedListing,
+} from './symbolDirectory';
+
+const CSV = [
+  'symbol,name,exchange,assetType,ipoDate,delistingDate,status',
+  'AAPL,Apple Inc,NASDAQ,Stock,1980-12-12,null,Active',
+  'APLE,"Apple Hospitality REIT, Inc",NYSE,Stock,2015-05-18,null,Active',
+  'SPY,SPDR S&P 500 ETF Trust,NYSE ARCA,ETF,1993-01-29,null,Active',
+  'OLD,Old Corp,NYSE,Stock,1990-01-02,2001-01-02,Delisted',
+].join('\n');
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('Symbol directory', () => {
+  it('should parse active listings, quoted names and map asset types to search types', () => {
+    expect(parseListingCsv(CSV)).toEqual([
+      { symbol: 'AAPL', name: 'Apple Inc', exchange: 'NASDAQ', type: 'Equity' },
+      { symbol: 'APLE', name: 'Apple Hospitality REIT, Inc', exchange: 'NYSE', type: 'Equity' },
+      { symbol: 'SPY', name: 'SPDR S&P 500 ETF Trust', exchange: 'NYSE ARCA', type: 'ETF' },
+    ]);
+    expect(BUNDLED_LISTING.some((entry) => entry.symbol === 'MSFT')).toBe(true);
+  });
+
+  it('should rank exact symbols first and match names, typos and scattered letters', () => {
+    const entries = parseListingCsv(CSV);
+
+    expect(searchListing(entries, 'aapl')[0]).toMatchObject({ symbol: 'AAPL', matchScore: 1, region: 'United States' });
+    expect(searchListing(entries, 'apple').map((r) => r.symbol)).toEqual(['AAPL', 'APLE']);
+    // Swapped letter, and letters in order within a word-started stretch
+    expect(searchListing(entries, 'APPL')[0].symbol).toBe('AAPL');
+    expect(searchListing(entries, 'spdr')[0].symbol).toBe('SPY');
+    expect(matchScore('hsp', entries[1])).toBeGreaterThan(0);
+
+    expect(searchListing(entries, 'zzz')).toEqual([]);
+    expect(matchScore('pl', entries[0])).toBe(0);
+  });
+
+  it('should keep the full listing in storage until it is too old', () => {
+    saveCachedListing(parseListingCsv(CSV));
+
+    expect(loadCachedListing(60 * 1000)).toHaveLength(3);
+    expect(loadCachedListing(0)).toBeNull();
+  });
+});
@@ -0,0 +1,32 @@
+// ---------------------------------------------------------------------------
+// Messages between open tabs of the app, over a BroadcastChannel. Where the
+// API isn't available this is a no-op and every tab simply works alone.
+// Saved state itself syncs through localStorage 'storage' events (App.jsx);
+// this channel is for things that aren't persisted, like fresh quotes.
+// ---------------------------------------------------------------------------
+
+const CHANNEL_NAME = 'stock-watchlist';
+
+let channel = null;
+const listeners = new Set();
+
+// Opened on first use so importing this module has no side effects
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (e) => listeners.forEach((listener) => listener(e.data));
+  }
+  return channel;
+}
+
+// Messages never echo back to the tab that posted them
+export function postToTabs(message) {
+  const tabs = getChannel();
+  if (tabs) tabs.postMessage(message);
+}
+
+export function subscribeTabs(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
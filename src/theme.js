@@ -0,0 +1,44 @@
+// ---------------------------------------------------------------------------
+// Appearance settings. App.css defines every colour and the card spacing as
+// custom properties keyed off data-theme / data-colors / data-density on
+// <html>; applyTheme sets those attributes from the saved settings.
+// ---------------------------------------------------------------------------
+
+export const THEME_OPTIONS = [
+  { value: 'system', label: 'Follow system' },
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' },
+];
+
+export const DENSITY_OPTIONS = [
+  { value: 'comfortable', label: 'Comfortable' },
+  { value: 'compact', label: 'Compact' },
+];
+
+export const COLOR_SCHEME_OPTIONS = [
+  { value: 'green-red', label: 'Green / red' },
+  { value: 'blue-orange', label: 'Blue / orange (colorblind-safe)' },
+];
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+// 'system' becomes whatever the OS currently prefers
+export function resolveTheme(theme) {
+  if (theme !== 'system') return theme;
+  return window.matchMedia && window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light';
+}
+
+export function applyTheme({ theme, density, colorScheme }, root = document.documentElement) {
+  root.dataset.theme = resolveTheme(theme);
+  root.dataset.density = density;
+  root.dataset.colors = colorScheme;
+}
+
+// listener() runs when the OS switches between light and dark.
+// Returns an unsubscribe function.
+export function subscribeSystemTheme(listener) {
+  if (!window.matchMedia) return () => {};
+  const query = window.matchMedia(DARK_QUERY);
+  query.addEventListener('change', listener);
+  return () => query.removeEventListener('change', listener);
+}
@@ -0,0 +1,454 @@
+import { ALERT_TYPES } from './alerts';
+import { SORT_OPTIONS, GROUP_OPTIONS } from './watchlistView';
+import { LOCALE_OPTIONS } from './format';
+import { BASE_CURRENCIES, listingCurrency } from './currency';
+import { THEME_OPTIONS, DENSITY_OPTIONS, COLOR_SCHEME_OPTIONS } from './theme';
+import { INDICATOR_OPTIONS } from './indicators';
+
+// ---------------------------------------------------------------------------
+// localStorage layout for watchlists:
+//   schemaVersion       -> version of this layout (see MIGRATIONS below)
+//   watchlists          -> [{ id, name }, ...]   the list index, in tab order
+//   activeWatchlist     -> id of the list currently shown
+//   watchlist           -> symbols of the default list (the original key, so
+//                          data saved before multiple lists existed still loads)
+//   watchlist:<id>      -> symbols of every other list
+//   maxStocks           -> size limit applied to every list
+//   refreshInterval     -> auto-refresh period in ms, 0 = off
+//   holdings            -> { AAPL: [{ id, shares, price, date }] } purchase
+//                          lots, shared by every list holding the symbol
+//   alerts              -> { AAPL: [{ id, type, value, armed, triggeredAt }] }
+//   searchFilters       -> { type, region } chips selected in the search box
+//   searchHistory       -> { recent: [{ symbol, name }], favorites: [...] }
+//                          picks offered while the search box is empty
+//   quotes              -> { AAPL: { price, change, changePct, currency,
+//                          open, high, low, volume, previousClose,
+//                          latestTradingDay, lastUpdated } } last-known
+//                          quotes, shown (as stale) until refreshed
+//   gridView            -> { sortBy, sortDir, groupBy } how cards are laid out
+//   tags                -> { AAPL: 'Long term' } custom tag per symbol
+//   sectors             -> { AAPL: 'Technology', SPY: null } sector per
+//                          symbol, cached so grouping doesn't re-spend calls
+//   displaySettings     -> { theme, density, colorScheme, locale,
+//                          baseCurrency, indicators } appearance, number
+//                          formatting, the currency prices are converted
+//                          into and the indicator badges shown on cards
+//
+// Everything read back is validated. A value that can't be parsed, or has
+// entries of the wrong shape, is copied to '<key>:corrupt', replaced by what
+// could be salvaged (or the default), and reported through
+// takeStorageProblems() — the app keeps working instead of crashing on mount.
+// ---------------------------------------------------------------------------
+
+export const SCHEMA_VERSION = 2;
+
+export const DEFAULT_LIST_ID = 'default';
+export const DEFAULT_MAX_STOCKS = 5;
+export const DEFAULT_SEARCH_FILTERS = { type: 'all', region: 'all' };
+export const DEFAULT_SEARCH_HISTORY = { recent: [], favorites: [] };
+export const DEFAULT_GRID_VIEW = { sortBy: 'manual', sortDir: 'asc', groupBy: 'none' };
+export const DEFAULT_DISPLAY_SETTINGS = {
+  theme: 'system',
+  density: 'comfortable',
+  colorScheme: 'green-red',
+  locale: 'auto',
+  baseCurrency: 'none',
+  // Off until picked: each one costs a daily-history call per card
+  indicators: [],
+};
+
+const DEFAULT_LIST = { id: DEFAULT_LIST_ID, name: 'My Watchlist' };
+
+export function symbolsKey(id) {
+  return id === DEFAULT_LIST_ID ? 'watchlist' : 'watchlist:' + id;
+}
+
+export function createListId() {
+  return 'list-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// ---------------------------------------------------------------------------
+// Problems found while reading, kept until the app takes them to show.
+// ---------------------------------------------------------------------------
+const problems = [];
+
+function reportProblem(key, reason) {
+  console.warn('[storage] ' + key + ': ' + reason);
+  if (!problems.some((problem) => problem.key === key)) problems.push({ key, reason });
+}
+
+export function takeStorageProblems() {
+  return problems.splice(0);
+}
+
+// ---------------------------------------------------------------------------
+// Validators. Each takes a parsed value and returns the valid part of it,
+// dropping bad entries, or undefined when nothing is usable.
+// ---------------------------------------------------------------------------
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// { key: entry } with invalid entries removed
+function objectOf(validEntry) {
+  return (value) => {
+    if (!isPlainObject(value)) return undefined;
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      const entry = validEntry(value[key]);
+      if (entry !== undefined) result[key] = entry;
+    });
+    return result;
+  };
+}
+
+// [entry, ...] with invalid entries removed
+function arrayOf(isValid) {
+  return (value) => (Array.isArray(value) ? value.filter(isValid) : undefined);
+}
+
+const validSymbols = (value) => {
+  const symbols = arrayOf(isString)(value);
+  return symbols && [...new Set(symbols)];
+};
+
+const validListIndex = (value) => {
+  const lists = arrayOf((list) => isPlainObject(list) && isString(list.id) && typeof list.name === 'string')(value);
+  return lists && lists.length > 0 ? lists : undefined;
+};
+
+const validMaxStocks = (value) => (Number.isInteger(value) && value > 0 ? value : undefined);
+
+const validRefreshInterval = (value) => (isNumber(value) && value >= 0 ? value : undefined);
+
+const isLot = (lot) =>
+  isPlainObject(lot) && isString(lot.id) && isNumber(lot.shares) && isNumber(lot.price) && typeof lot.date === 'string';
+
+const ALERT_TYPE_NAMES = ALERT_TYPES.map((t) => t.type);
+const isAlertRule = (rule) =>
+  isPlainObject(rule) &&
+  isString(rule.id) &&
+  ALERT_TYPE_NAMES.includes(rule.type) &&
+  isNumber(rule.value) &&
+  typeof rule.armed === 'boolean' &&
+  (rule.triggeredAt === null || isNumber(rule.triggeredAt));
+
+// Non-empty arrays only — an emptied list is stored as a missing key
+function nonEmpty(validArray) {
+  return (value) => {
+    const items = validArray(value);
+    return items && items.length > 0 ? items : undefined;
+  };
+}
+
+const validHoldings = objectOf(nonEmpty(arrayOf(isLot)));
+const validAlerts = objectOf(nonEmpty(arrayOf(isAlertRule)));
+const validTags = objectOf((tag) => (isString(tag) ? tag : undefined));
+const validSectors = objectOf((sector) => (sector === null || isString(sector) ? sector : undefined));
+
+// The session fields are optional: quotes saved before they existed, or
+// that the provider sent without them, have none
+const SESSION_FIELDS = ['open', 'high', 'low', 'volume', 'previousClose'];
+const QUOTE_FIELDS = ['price', 'change', 'changePct', 'currency', ...SESSION_FIELDS, 'latestTradingDay', 'lastUpdated'];
+const optional = (check) => (value) => value === undefined || value === null || check(value);
+const isQuote = (quote) =>
+  isPlainObject(quote) &&
+  isNumber(quote.price) &&
+  isNumber(quote.change) &&
+  isNumber(quote.changePct) &&
+  isString(quote.currency) &&
+  isNumber(quote.lastUpdated) &&
+  SESSION_FIELDS.every((field) => optional(isNumber)(quote[field])) &&
+  optional(isString)(quote.latestTradingDay);
+const validQuotes = objectOf((quote) => (isQuote(quote) ? quote : undefined));
+
+// Settings objects: keep the fields we know, when their value is allowed
+function settings(allowed) {
+  return (value) => {
+    if (!isPlainObject(value)) return undefined;
+    const result = {};
+    Object.keys(allowed).forEach((field) => {
+      if (allowed[field](value[field])) result[field] = value[field];
+    });
+    return result;
+  };
+}
+
+const validSearchFilters = settings({ type: isString, region: isString });
+
+const isSearchEntry = (entry) => isPlainObject(entry) && isString(entry.symbol) && typeof entry.name === 'string';
+const validSearchHistory = (value) =>
+  isPlainObject(value)
+    ? {
+        recent: arrayOf(isSearchEntry)(value.recent) || [],
+        favorites: arrayOf(isSearchEntry)(value.favorites) || [],
+      }
+    : undefined;
+
+const SORT_VALUES = SORT_OPTIONS.map((o) => o.value);
+const GROUP_VALUES = GROUP_OPTIONS.map((o) => o.value);
+const validGridView = settings({
+  sortBy: (v) => SORT_VALUES.includes(v),
+  sortDir: (v) => v === 'asc' || v === 'desc',
+  groupBy: (v) => GROUP_VALUES.includes(v),
+});
+
+const LOCALE_VALUES = LOCALE_OPTIONS.map((o) => o.value);
+const oneOf = (options) => (v) => options.some((o) => o.value === v);
+const validDisplaySettings = settings({
+  theme: oneOf(THEME_OPTIONS),
+  density: oneOf(DENSITY_OPTIONS),
+  colorScheme: oneOf(COLOR_SCHEME_OPTIONS),
+  locale: (v) => LOCALE_VALUES.includes(v),
+  baseCurrency: (v) => BASE_CURRENCIES.includes(v),
+  indicators: (v) => Array.isArray(v) && v.every(oneOf(INDICATOR_OPTIONS)),
+});
+
+// ---------------------------------------------------------------------------
+// Read one key: parse, validate, and on any problem keep a copy of the raw
+// value, report it and fall back.
+// ---------------------------------------------------------------------------
+function readJSON(key, validate, fallback) {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return fallback;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return discard(key, raw, 'not valid JSON', fallback);
+  }
+
+  const valid = validate(parsed);
+  if (valid === undefined) return discard(key, raw, 'unexpected format', fallback);
+  if (JSON.stringify(valid) !== JSON.stringify(parsed)) {
+    localStorage.setItem(key + ':corrupt', raw);
+    reportProblem(key, 'some entries were invalid and were dropped');
+  }
+  return valid;
+}
+
+function discard(key, raw, reason, fallback) {
+  localStorage.setItem(key + ':corrupt', raw);
+  reportProblem(key, reason);
+  return fallback;
+}
+
+// ---------------------------------------------------------------------------
+// Migrations. MIGRATIONS[n] upgrades schema version n to n + 1; storage
+// with no schemaVersion is version 0. To change the layout, bump
+// SCHEMA_VERSION and append a migration — never edit an old one, since
+// users may be upgrading from any earlier version.
+// ---------------------------------------------------------------------------
+
+// Raw parse for migrations — the loaders above do the validating
+function parseOr(key, fallback) {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return value === null ? fallback : value;
+  } catch {
+    return fallback;
+  }
+}
+
+const MIGRATIONS = [
+  // 0 -> 1: first versioned layout. Symbols saved by older versions (or by
+  // hand) may be lower-case or repeated; normalise every list.
+  () => {
+    const lists = parseOr('watchlists', [DEFAULT_LIST]);
+    const ids = Array.isArray(lists) ? lists.map((list) => list && list.id) : [];
+    if (!ids.includes(DEFAULT_LIST_ID)) ids.push(DEFAULT_LIST_ID);
+
+    ids.filter(isString).forEach((id) => {
+      const symbols = parseOr(symbolsKey(id), null);
+      if (!Array.isArray(symbols)) return;
+      const normalised = symbols.map((s) => (typeof s === 'string' ? s.trim().toUpperCase() : s));
+      localStorage.setItem(symbolsKey(id), JSON.stringify([...new Set(normalised)]));
+    });
+  },
+  // 1 -> 2: quotes became numbers with a currency ('228.87' -> 228.87,
+  // '1.08%' -> 1.08). London prices were saved in pence.
+  () => {
+    const quotes = parseOr('quotes', null);
+    if (!isPlainObject(quotes)) return;
+    Object.keys(quotes).forEach((symbol) => {
+      const quote = quotes[symbol];
+      if (!isPlainObject(quote) || quote.currency !== undefined) return;
+      const { currency, scale } = listingCurrency(symbol);
+      quotes[symbol] = {
+        ...quote,
+        price: parseFloat(quote.price) * scale,
+        change: parseFloat(quote.change) * scale,
+        changePct: parseFloat(quote.changePct),
+        currency,
+      };
+    });
+    localStorage.setItem('quotes', JSON.stringify(quotes));
+  },
+];
+
+// Bring saved data up to SCHEMA_VERSION. Runs once, before the app reads
+// anything. Data from a newer version is left alone and read as-is.
+export function migrateStorage() {
+  const raw = localStorage.getItem('schemaVersion');
+  let version = raw === null ? 0 : Number(raw);
+  if (!Number.isInteger(version) || version < 0) {
+    reportProblem('schemaVersion', 'unreadable version "' + raw + '", treated as unversioned');
+    version = 0;
+  }
+  if (version > SCHEMA_VERSION) {
+    reportProblem('schemaVersion', 'saved by a newer version of the app (v' + version + ')');
+    return;
+  }
+
+  for (; version < SCHEMA_VERSION; version++) {
+    try {
+      MIGRATIONS[version]();
+    } catch (err) {
+      reportProblem('schemaVersion', 'upgrade to v' + (version + 1) + ' failed: ' + err.message);
+      return;
+    }
+    localStorage.setItem('schemaVersion', String(version + 1));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Loaders and savers
+// ---------------------------------------------------------------------------
+export function loadWatchlistIndex() {
+  return readJSON('watchlists', validListIndex, [DEFAULT_LIST]);
+}
+
+export function saveWatchlistIndex(lists) {
+  localStorage.setItem('watchlists', JSON.stringify(lists));
+}
+
+export function loadActiveListId(lists) {
+  const saved = localStorage.getItem('activeWatchlist');
+  return lists.some((list) => list.id === saved) ? saved : lists[0].id;
+}
+
+export function saveActiveListId(id) {
+  localStorage.setItem('activeWatchlist', id);
+}
+
+export function loadSymbols(id) {
+  return readJSON(symbolsKey(id), validSymbols, []);
+}
+
+export function saveSymbols(id, symbols) {
+  localStorage.setItem(symbolsKey(id), JSON.stringify(symbols));
+}
+
+export function removeSymbols(id) {
+  localStorage.removeItem(symbolsKey(id));
+}
+
+export function loadMaxStocks() {
+  return readJSON('maxStocks', validMaxStocks, DEFAULT_MAX_STOCKS);
+}
+
+export function saveMaxStocks(maxStocks) {
+  localStorage.setItem('maxStocks', String(maxStocks));
+}
+
+export function loadRefreshInterval() {
+  return readJSON('refreshInterval', validRefreshInterval, 0);
+}
+
+export function saveRefreshInterval(ms) {
+  localStorage.setItem('refreshInterval', String(ms));
+}
+
+export function loadHoldings() {
+  return readJSON('holdings', validHoldings, {});
+}
+
+export function saveHoldings(holdings) {
+  localStorage.setItem('holdings', JSON.stringify(holdings));
+}
+
+export function loadAlerts() {
+  return readJSON('alerts', validAlerts, {});
+}
+
+export function saveAlerts(alerts) {
+  localStorage.setItem('alerts', JSON.stringify(alerts));
+}
+
+export function loadSearchFilters() {
+  return { ...DEFAULT_SEARCH_FILTERS, ...readJSON('searchFilters', validSearchFilters, {}) };
+}
+
+export function saveSearchFilters(filters) {
+  localStorage.setItem('searchFilters', JSON.stringify(filters));
+}
+
+export function loadSearchHistory() {
+  return readJSON('searchHistory', validSearchHistory, DEFAULT_SEARCH_HISTORY);
+}
+
+export function saveSearchHistory(history) {
+  localStorage.setItem('searchHistory', JSON.stringify(history));
+}
+
+export function loadGridView() {
+  return { ...DEFAULT_GRID_VIEW, ...readJSON('gridView', validGridView, {}) };
+}
+
+export function saveGridView(view) {
+  localStorage.setItem('gridView', JSON.stringify(view));
+}
+
+export function loadTags() {
+  return readJSON('tags', validTags, {});
+}
+
+export function saveTags(tags) {
+  localStorage.setItem('tags', JSON.stringify(tags));
+}
+
+export function loadSectors() {
+  return readJSON('sectors', validSectors, {});
+}
+
+export function saveSectors(sectors) {
+  localStorage.setItem('sectors', JSON.stringify(sectors));
+}
+
+export function loadDisplaySettings() {
+  return { ...DEFAULT_DISPLAY_SETTINGS, ...readJSON('displaySettings', validDisplaySettings, {}) };
+}
+
+export function saveDisplaySettings(settings) {
+  localStorage.setItem('displaySettings', JSON.stringify(settings));
+}
+
+// Only the quote itself and its timestamp are kept — loading/error flags are
+// per-session, and symbols that never got a price are skipped.
+export function loadQuotes() {
+  return readJSON('quotes', validQuotes, {});
+}
+
+export function saveQuotes(stockData) {
+  const quotes = {};
+  Object.keys(stockData).forEach((symbol) => {
+    const data = stockData[symbol];
+    // Only real prices: a null or NaN one would fail validation on the next
+    // load and take every saved quote down with it
+    if (!Number.isFinite(data.price)) return;
+    quotes[symbol] = {};
+    QUOTE_FIELDS.forEach((field) => {
+      if (data[field] !== undefined) quotes[symbol][field] = data[field];
+    });
+  });
+  localStorage.setItem('quotes', JSON.stringify(quotes));
+}
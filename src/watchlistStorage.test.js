@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  SCHEMA_VERSION,
+  migrateStorage,
+  takeStorageProblems,
+  loadSymbols,
+  loadHoldings,
+  loadGridView,
+  loadWatchlistIndex,
+  loadQuotes,
+  saveQuotes,
+} from './watchlistStorage';
+
+beforeEach(() => {
+  localStorage.clear();
+  takeStorageProblems();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('Storage validation', () => {
+  it('should fall back on unreadable JSON, keep a copy and report it', () => {
+    localStorage.setItem('watchlist', '["AAPL",');
+
+    expect(loadSymbols('default')).toEqual([]);
+    expect(localStorage.getItem('watchlist:corrupt')).toBe('["AAPL",');
+    expect(takeStorageProblems()).toEqual([{ key: 'watchlist', reason: 'not valid JSON' }]);
+  });
+
+  it('should drop only the malformed entries', () => {
+    localStorage.setItem('holdings', JSON.stringify({
+      AAPL: [
+        { id: 'lot-1', shares: 10, price: 150, date: '2025-01-02' },
+        { id: 'lot-2', shares: 'ten', price: 150, date: '2025-01-02' },
+      ],
+      MSFT: 'oops',
+    }));
+    localStorage.setItem('gridView', JSON.stringify({ sortBy: 'price', groupBy: 'planet' }));
+
+    expect(loadHoldings()).toEqual({ AAPL: [{ id: 'lot-1', shares: 10, price: 150, date: '2025-01-02' }] });
+    expect(loadGridView()).toEqual({ sortBy: 'price', sortDir: 'asc', groupBy: 'none' });
+    expect(takeStorageProblems().map((p) => p.key)).toEqual(['holdings', 'gridView']);
+  });
+
+  it('should save only quotes with a price, so they load back cleanly', () => {
+    saveQuotes({
+      AAPL: { price: 228.87, change: 2.45, changePct: 1.08, currency: 'USD', lastUpdated: 1, loading: false },
+      MSFT: { price: null, error: 'Symbol not found.', loading: false },
+      NVDA: { price: NaN, change: 0, changePct: 0, currency: 'USD', lastUpdated: 1 },
+      TSLA: { loading: true },
+    });
+
+    expect(loadQuotes()).toEqual({
+      AAPL: { price: 228.87, change: 2.45, changePct: 1.08, currency: 'USD', lastUpdated: 1 },
+    });
+    expect(localStorage.getItem('quotes:corrupt')).toBeNull();
+    expect(takeStorageProblems()).toEqual([]);
+  });
+
+  it('should never return an empty list index', () => {
+    localStorage.setItem('watchlists', '[]');
+    expect(loadWatchlistIndex()).toEqual([{ id: 'default', name: 'My Watchlist' }]);
+  });
+});
+
+describe('Storage migrations', () => {
+  it('should upgrade unversioned data and record the version', () => {
+    localStorage.setItem('watchlist', JSON.stringify(['aapl', 'AAPL', ' msft ']));
+
+    migrateStorage();
+
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['AAPL', 'MSFT']);
+    expect(localStorage.getItem('schemaVersion')).toBe(String(SCHEMA_VERSION));
+    expect(takeStorageProblems()).toEqual([]);
+  });
+
+  it('should turn version 1 string quotes into numbers with a currency', () => {
+    localStorage.setItem('schemaVersion', '1');
+    localStorage.setItem(
+      'quotes',
+      JSON.stringify({ AAPL: { price: '228.87', change: '-2.45', changePct: '-1.08%', lastUpdated: 1 } })
+    );
+
+    migrateStorage();
+
+    expect(loadQuotes()).toEqual({
+      AAPL: { price: 228.87, change: -2.45, changePct: -1.08, currency: 'USD', lastUpdated: 1 },
+    });
+  });
+
+  it('should leave data from a newer version untouched and report it', () => {
+    localStorage.setItem('schemaVersion', String(SCHEMA_VERSION + 1));
+    localStorage.setItem('watchlist', JSON.stringify(['aapl']));
+
+    migrateStorage();
+
+    expect(JSON.parse(localStorage.getItem('watchlist'))).toEqual(['aapl']);
+    expect(takeStorageProblems()[0].reason).toMatch(/newer version/);
+  });
+});
@@ -0,0 +1,161 @@
+import { searchSymbol } from './api';
+import { NotFoundError } from './apiErrors';
+
+// ---------------------------------------------------------------------------
+// Import / export of a watchlist.
+// Export carries symbols plus the last known quote; import only ever reads
+// the symbols back — prices are always re-fetched.
+// ---------------------------------------------------------------------------
+
+const CSV_COLUMNS = ['symbol', 'price', 'change', 'changePct', 'currency'];
+
+// Tickers: letters/digits plus . - (BRK.B, RDS-A), up to 10 characters
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,9}$/;
+
+function exportRows(symbols, stockData) {
+  return symbols.map((symbol) => {
+    const data = stockData[symbol] || {};
+    return {
+      symbol,
+      price: data.price ?? null,
+      change: data.change ?? null,
+      changePct: data.changePct ?? null,
+      currency: data.currency ?? null,
+    };
+  });
+}
+
+// Quote a CSV field only when it needs it
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+export function toCSV(symbols, stockData) {
+  const lines = exportRows(symbols, stockData).map((row) =>
+    CSV_COLUMNS.map((column) => csvField(row[column])).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+export function toJSON(name, symbols, stockData) {
+  const payload = {
+    name,
+    exportedAt: new Date().toISOString(),
+    stocks: exportRows(symbols, stockData),
+  };
+  return JSON.stringify(payload, null, 2) + '\n';
+}
+
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// ---------------------------------------------------------------------------
+// Parsing. Accepts:
+//   JSON — ["AAPL", ...], [{ symbol }, ...] or { stocks: [{ symbol }, ...] }
+//   CSV  — one symbol per row in the "symbol" column (or the first column
+//          when there is no header)
+// Returns upper-cased symbols in file order, duplicates removed.
+// ---------------------------------------------------------------------------
+function symbolsFromJSON(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+  const items = Array.isArray(json) ? json : json && json.stocks;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON must be a list of symbols or an object with a "stocks" list.');
+  }
+  return items.map((item) => (typeof item === 'string' ? item : item && item.symbol));
+}
+
+function symbolsFromCSV(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.split(',').map((cell) => cell.trim().replace(/^"|"$/g, '')))
+    .filter((cells) => cells[0] !== '');
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((cell) => cell.toLowerCase());
+  const column = header.indexOf('symbol');
+  if (column === -1) return rows.map((cells) => cells[0]);
+  return rows.slice(1).map((cells) => cells[column]);
+}
+
+// Upper-cased, trimmed and de-duplicated, in the original order
+function normalizeSymbols(raw) {
+  const symbols = raw
+    .filter((symbol) => typeof symbol === 'string')
+    .map((symbol) => symbol.trim().toUpperCase())
+    .filter(Boolean);
+  return [...new Set(symbols)];
+}
+
+export function parseImport(text) {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('File is empty.');
+
+  const raw = /^[[{]/.test(trimmed) ? symbolsFromJSON(trimmed) : symbolsFromCSV(trimmed);
+  const symbols = normalizeSymbols(raw);
+  if (symbols.length === 0) throw new Error('No symbols found in file.');
+  return symbols;
+}
+
+// ---------------------------------------------------------------------------
+// Share links carry symbols in the URL (see routes.js). Anyone can edit a
+// URL, so keep only well-formed tickers, and no more than a list can hold.
+// ---------------------------------------------------------------------------
+export const MAX_SHARED_SYMBOLS = 20;
+
+export function parseShared(raw) {
+  return normalizeSymbols(raw)
+    .filter((symbol) => SYMBOL_PATTERN.test(symbol))
+    .slice(0, MAX_SHARED_SYMBOLS);
+}
+
+// ---------------------------------------------------------------------------
+// Preview: decide what happens to every imported symbol.
+//   add        -> confirmed by searchSymbol and fits in the list
+//   duplicate  -> already in the list
+//   invalid    -> malformed, or searchSymbol has no exact match
+//   limit      -> would push the list past maxStocks (not checked, to save calls)
+//   error      -> couldn't be checked (rate limit, timeout...); message attached
+// Symbols are checked one at a time so the request scheduler can pace them.
+// ---------------------------------------------------------------------------
+export async function planImport(symbols, watchlist, maxStocks) {
+  let room = maxStocks - watchlist.length;
+  const plan = [];
+
+  for (const symbol of symbols) {
+    if (watchlist.includes(symbol)) {
+      plan.push({ symbol, status: 'duplicate' });
+      continue;
+    }
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      plan.push({ symbol, status: 'invalid' });
+      continue;
+    }
+    if (room <= 0) {
+      plan.push({ symbol, status: 'limit' });
+      continue;
+    }
+
+    try {
+      const results = await searchSymbol(symbol);
+      const found = results.some((r) => r.symbol.toUpperCase() === symbol);
+      plan.push({ symbol, status: found ? 'add' : 'invalid' });
+      if (found) room -= 1;
+    } catch (err) {
+      plan.push(err instanceof NotFoundError ? { symbol, status: 'invalid' } : { symbol, status: 'error', message: err.message });
+    }
+  }
+  return plan;
+}
@@ -0,0 +1,78 @@
+// ---------------------------------------------------------------------------
+// How the active list is laid out: sort order, grouping and manual moves.
+// The list's own symbol array IS the manual order — sorting and grouping
+// only change what is displayed, never what is saved.
+// ---------------------------------------------------------------------------
+
+// dir: the direction a sort starts in when picked
+export const SORT_OPTIONS = [
+  { value: 'manual', label: 'Manual order', dir: 'asc' },
+  { value: 'symbol', label: 'Symbol', dir: 'asc' },
+  { value: 'price', label: 'Price', dir: 'desc' },
+  { value: 'change', label: 'Change ($)', dir: 'desc' },
+  { value: 'changePct', label: 'Change (%)', dir: 'desc' },
+];
+
+export const GROUP_OPTIONS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'sector', label: 'Sector' },
+  { value: 'tag', label: 'Tag' },
+];
+
+// Group shown last for symbols with no sector / tag
+export const UNGROUPED_LABEL = { sector: 'Other', tag: 'Untagged' };
+
+// Numeric sort key, or null when the symbol has no quote yet
+function sortValue(sortBy, data) {
+  if (!data || data.price === undefined) return null;
+  if (sortBy === 'price') return data.price;
+  if (sortBy === 'change') return data.change;
+  return data.changePct;
+}
+
+// Symbols without a quote always go last, whichever the direction
+export function sortSymbols(symbols, stockData, sortBy, sortDir = 'asc') {
+  if (sortBy === 'manual') return symbols;
+  const sign = sortDir === 'desc' ? -1 : 1;
+
+  if (sortBy === 'symbol') {
+    return [...symbols].sort((a, b) => sign * a.localeCompare(b));
+  }
+  return [...symbols].sort((a, b) => {
+    const av = sortValue(sortBy, stockData[a]);
+    const bv = sortValue(sortBy, stockData[b]);
+    if (av === null || bv === null) return (av === null) - (bv === null);
+    return sign * (av - bv);
+  });
+}
+
+// [{ name, symbols }] in display order. Named groups are alphabetical, the
+// catch-all group comes last; symbols keep their order within a group.
+export function groupSymbols(symbols, groupBy, { sectors = {}, tags = {} } = {}) {
+  if (groupBy === 'none') return [{ name: null, symbols }];
+
+  const labels = groupBy === 'sector' ? sectors : tags;
+  const fallback = UNGROUPED_LABEL[groupBy];
+  const groups = new Map();
+  symbols.forEach((symbol) => {
+    const name = labels[symbol] || fallback;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(symbol);
+  });
+
+  return [...groups.keys()]
+    .sort((a, b) => (a === fallback) - (b === fallback) || a.localeCompare(b))
+    .map((name) => ({ name, symbols: groups.get(name) }));
+}
+
+// Move symbol into target's slot: it ends up just before target when moving
+// up and just after it when moving down.
+export function moveSymbol(symbols, symbol, target) {
+  const from = symbols.indexOf(symbol);
+  const to = symbols.indexOf(target);
+  if (from === -1 || to === -1 || from === to) return symbols;
+  const next = [...symbols];
+  next.splice(from, 1);
+  next.splice(to, 0, symbol);
+  return next;
+}
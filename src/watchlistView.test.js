@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { sortSymbols, groupSymbols, moveSymbol } from './watchlistView';
+
+const stockData = {
+  AAPL: { price: 228.87, change: 2.45, changePct: 1.08, currency: 'USD' },
+  TSLA: { price: 350.4, change: -8.75, changePct: -2.44, currency: 'USD' },
+  MSFT: { price: 409.18, change: 5.2, changePct: 1.29, currency: 'USD' },
+};
+
+describe('Watchlist view', () => {
+  it('should sort by price or change and keep symbols without a quote last', () => {
+    const symbols = ['TSLA', 'NEW', 'AAPL', 'MSFT'];
+    expect(sortSymbols(symbols, stockData, 'price', 'desc')).toEqual(['MSFT', 'TSLA', 'AAPL', 'NEW']);
+    expect(sortSymbols(symbols, stockData, 'changePct', 'asc')).toEqual(['TSLA', 'AAPL', 'MSFT', 'NEW']);
+    expect(sortSymbols(symbols, stockData, 'symbol', 'asc')).toEqual(['AAPL', 'MSFT', 'NEW', 'TSLA']);
+    expect(sortSymbols(symbols, stockData, 'manual')).toBe(symbols);
+  });
+
+  it('should group alphabetically with the catch-all group last', () => {
+    const groups = groupSymbols(['SPY', 'TSLA', 'AAPL', 'MSFT'], 'sector', {
+      sectors: { AAPL: 'Technology', MSFT: 'Technology', TSLA: 'Manufacturing', SPY: null },
+    });
+    expect(groups).toEqual([
+      { name: 'Manufacturing', symbols: ['TSLA'] },
+      { name: 'Technology', symbols: ['AAPL', 'MSFT'] },
+      { name: 'Other', symbols: ['SPY'] },
+    ]);
+  });
+
+  it('should move a symbol into the target slot in either direction', () => {
+    const symbols = ['A', 'B', 'C', 'D'];
+    expect(moveSymbol(symbols, 'A', 'C')).toEqual(['B', 'C', 'A', 'D']);
+    expect(moveSymbol(symbols, 'D', 'B')).toEqual(['A', 'D', 'B', 'C']);
+    expect(moveSymbol(symbols, 'A', 'Z')).toBe(symbols);
+  });
+});
@@ -1,11 +1,23 @@
-import { defineConfig } from 'vite';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import apiProxyPlugin from './server/vitePlugin.js';
+import { proxyOptionsFromEnv } from './server/proxy.js';
 
-export default defineConfig({
-  plugins: [react()],
-  test: {
-    globals: true,
-    environment: 'happy-dom',
-    setupFiles: ['./src/setupTests.js'],
-  },
+export default defineConfig(({ mode }) => {
+  // '' loads every variable, not only VITE_ ones — the key stays server-side
+  const proxyOptions = proxyOptionsFromEnv(loadEnv(mode, process.cwd(), ''));
+
+  return {
+    plugins: [react(), apiProxyPlugin(proxyOptions)],
+    define: {
+      // Tells api.js the proxy can reach Alpha Vantage, without the key itself.
+      // A string, since Vitest turns env values into strings ("false" is truthy).
+      'import.meta.env.VITE_API_PROXY': JSON.stringify(proxyOptions.apiKey ? 'true' : ''),
+    },
+    test: {
+      globals: true,
+      environment: 'happy-dom',
+      setupFiles: ['./src/setupTests.js'],
+    },
+  };
 });